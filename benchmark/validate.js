@@ -0,0 +1,78 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const enforcer      = require('../index');
+
+// measure how long it takes to validate a large response payload and to make many proxy writes
+// usage: node benchmark/validate.js [items] [writes]
+
+const items = +process.argv[2] || 20000;
+const writes = +process.argv[3] || 100000;
+
+// inline schemas, without $ref or a discriminator, so that earlier versions can run the same benchmark
+const pet = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', pattern: '^[A-Z][a-z]+$', maxLength: 20 },
+        petType: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+    },
+    required: ['id', 'name', 'petType']
+};
+const cat = {
+    allOf: [
+        pet,
+        {
+            type: 'object',
+            properties: {
+                huntingSkill: { type: 'string', enum: ['clueless', 'lazy', 'adventurous', 'aggressive'] }
+            },
+            required: ['huntingSkill']
+        }
+    ]
+};
+
+const payload = [];
+for (let i = 0; i < items; i++) {
+    payload.push({ id: i + 1, name: 'Mittens', petType: 'Cat', tags: ['a', 'b'], huntingSkill: 'lazy' });
+}
+
+const e = enforcer({ type: 'array', items: cat }, {}, { enforce: { required: true } });
+
+measure('errors() for ' + items + ' items', () => {
+    const errors = e.errors(payload);
+    if (errors.length) throw Error('Unexpected errors: ' + errors.join('\n'));
+});
+
+const value = enforcer(cat).enforce({ id: 1, name: 'Mittens', petType: 'Cat', huntingSkill: 'lazy' });
+measure(writes + ' proxy writes', () => {
+    for (let i = 0; i < writes; i++) value.id = i + 1;
+});
+
+// run a function once to warm up and then several times, reporting the fastest time
+function measure(name, callback) {
+    let fastest = Infinity;
+    callback();
+    for (let i = 0; i < 15; i++) {
+        const start = process.hrtime();
+        callback();
+        const elapsed = process.hrtime(start);
+        fastest = Math.min(fastest, elapsed[0] * 1000 + elapsed[1] / 1e6);
+    }
+    console.log(name + ': ' + fastest.toFixed(1) + 'ms');
+}
\ No newline at end of file
@@ -15,10 +15,16 @@
  *    limitations under the License.
  **/
 'use strict';
+const compile           = require('./compile');
 const convertTo         = require('./convert-to');
 const copy              = require('./copy');
+const dereference       = require('./dereference');
+const discriminator     = require('./discriminator');
+const formats           = require('./formats');
 const getSchemaType     = require('./schema-type');
 const injectParameters  = require('./inject-parameters');
+const schemas           = require('./schemas');
+const Validator         = require('./validator');
 
 const defaults = {};
 
@@ -42,8 +48,14 @@ module.exports = function (schema, definitions, params, options, initialValue) {
     options.injector = function(schema, template) {
         return injector(template, params);
     };
+    options.building = [];
 
     if (options.useDefaults || options.useTemplates || options.useVariables) {
+        if (!dereference.isDereferenced(schema) || !dereference.isDereferenced(definitions)) {
+            const document = dereference({ definitions: definitions, schema: schema });
+            schema = document.schema;
+            definitions = document.definitions;
+        }
         return arguments.length < 5
             ? applyTemplate(schema, definitions, params, options).value
             : applyTemplate(schema, definitions, params, options, initialValue).value;
@@ -70,7 +82,8 @@ Object.defineProperty(module.exports, 'defaults', {
 module.exports.defaults = {};
 
 /**
- *
+ * Apply templates to a value while tracking which schemas are being built so that circular
+ * schemas stop building when there is no value left to build from.
  * @param schema
  * @param definitions
  * @param params
@@ -80,21 +93,86 @@ module.exports.defaults = {};
  */
 function applyTemplate(schema, definitions, params, options, value) {
     const valueNotProvided = arguments.length < 5;
+    const building = options.building;
+    if (valueNotProvided && building.indexOf(schema) !== -1) return {
+        applied: false,
+        value: value
+    };
 
-    if (!schema.allOf && schema.discriminator && value.hasOwnProperty(schema.discriminator)) {
-        const second = definitions[value[schema.discriminator]];
-        //schema = copy(schema);
+    building.push(schema);
+    const result = valueNotProvided
+        ? build(schema, definitions, params, options)
+        : build(schema, definitions, params, options, value);
+    building.pop();
+
+    return result;
+}
+
+/**
+ *
+ * @param schema
+ * @param definitions
+ * @param params
+ * @param options
+ * @param value
+ * @returns {{ applied: Boolean, value: *}}
+ */
+function build(schema, definitions, params, options, value) {
+    const valueNotProvided = arguments.length < 5;
 
-        const allOf = (Array.isArray(second.allOf) ? second.allOf : [ second ])
-            .filter(s => s !== schema);
+    // if discriminated then apply the base schema and then the subtype that the discriminator value selects
+    if (!schema.allOf && schema.hasOwnProperty('discriminator')) {
+        const base = Object.assign({}, schema);
+        delete base.discriminator;
+        delete base['x-discriminator-mapping'];
 
-        const schemaCopy = Object.assign({}, schema);
-        delete schemaCopy.discriminator;
-        allOf.push(schemaCopy);
+        const data = valueNotProvided
+            ? applyTemplate(base, definitions, params, options)
+            : applyTemplate(base, definitions, params, options, value);
+        const current = data.applied ? data.value : value;
+        const property = discriminator.property(schema);
+        const subtype = current && typeof current === 'object' && current.hasOwnProperty(property)
+            ? discriminator.subtype(schema, definitions, current[property])
+            : undefined;
+        if (!subtype || !discriminator.extends(subtype, schema)) return data;
 
-        schema = {
-            type: 'object',
-            allOf: allOf
+        let applied = data.applied;
+        let result = current;
+        discriminator.extensions(subtype, schema).forEach(extension => {
+            const data = applyTemplate(extension, definitions, params, options, result);
+            if (data.applied) {
+                applied = true;
+                result = data.value;
+            }
+        });
+        return {
+            applied: applied,
+            value: result
+        };
+    }
+
+    // if anyOf or oneOf then apply the shared schema and then the branch that applies to the value
+    const branches = Array.isArray(schema.anyOf) ? schema.anyOf : schema.oneOf;
+    if (Array.isArray(branches)) {
+        const base = Object.assign({}, schema);
+        delete base.anyOf;
+        delete base.oneOf;
+        delete base.not;
+
+        const data = valueNotProvided
+            ? applyTemplate(base, definitions, params, options)
+            : applyTemplate(base, definitions, params, options, value);
+        const branch = valueNotProvided
+            ? branches[0]
+            : getBranch(schema, definitions, data.value);
+        if (!branch) return data;
+
+        const result = !data.applied && valueNotProvided
+            ? applyTemplate(branch, definitions, params, options)
+            : applyTemplate(branch, definitions, params, options, data.value);
+        return {
+            applied: data.applied || result.applied,
+            value: result.applied ? result.value : data.value
         };
     }
 
@@ -116,26 +194,19 @@ function applyTemplate(schema, definitions, params, options, value) {
 
     if (valueNotProvided && options.useVariables && schema.hasOwnProperty('x-variable') && params.hasOwnProperty(schema['x-variable']) && typeof params[schema['x-variable']] !== 'undefined') {
         let value = copy(params[schema['x-variable']]);
-        if (options.autoFormat) {
-            switch (type) {
-                case 'boolean':
-                case 'integer':
-                case 'number':
-                    value = convertTo[type](value);
-                    break;
-                case 'string':
-                    switch (schema.format) {
-                        case 'binary':
-                        case 'byte':
-                        case 'date':
-                            value = convertTo[schema.format](value);
-                            break;
-                        case 'date-time':
-                            value = convertTo.dateTime(value);
-                            break;
-                        default:
-                            value = convertTo.string(value);
-                    }
+        if (options.autoFormat && !(value === null && compile(schema).nullable)) {
+            const format = schema.format && formats.get(schema.format, type);
+            if (format && format.to) {
+                value = format.to(value, options);
+            } else {
+                switch (type) {
+                    case 'boolean':
+                    case 'integer':
+                    case 'number':
+                    case 'string':
+                        value = convertTo[type](value);
+                        break;
+                }
             }
         }
         return {
@@ -271,4 +342,17 @@ function applyTemplate(schema, definitions, params, options, value) {
         applied: false,
         value: value
     };
+}
+
+/**
+ * Get the first anyOf or oneOf schema that a value matches. The default enforcement does not
+ * require properties because the value is still being built.
+ * @param {Object} schema
+ * @param {Object} definitions
+ * @param {*} value
+ * @returns {Object|undefined}
+ */
+function getBranch(schema, definitions, value) {
+    const enforce = schemas.enforcer.normalize({}).enforce;
+    return new Validator(enforce, definitions, false).branches(schema, value)[0];
 }
\ No newline at end of file
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const fs                = require('fs');
+const http              = require('http');
+const mock              = require('./mock');
+
+module.exports = cli;
+
+const usage = 'Usage: swagger-enforcer mock <swagger.json> [--port <port>] [--latency <ms>] [--seed <seed>] [--random] [--stateless]';
+
+/**
+ * Run a command line command. The "mock" command starts a mock server for a swagger document.
+ * @param {string[]} args The command line arguments, without the node executable and script.
+ * @param {function} [callback] Called once the server is listening.
+ * @returns {http.Server}
+ * @throws {Error} If the arguments are not valid.
+ */
+function cli(args, callback) {
+    const command = args[0];
+    const file = args[1];
+    if (command !== 'mock' || !file || file.charAt(0) === '-') throw Error(usage);
+
+    const options = {};
+    let port = 3000;
+    for (let i = 2; i < args.length; i++) {
+        switch (args[i]) {
+            case '--latency':
+                options.latency = number(args[++i]);
+                break;
+            case '--port':
+                port = number(args[++i]);
+                break;
+            case '--random':
+                options.examples = false;
+                break;
+            case '--seed':
+                if (args[++i] === undefined) throw Error(usage);
+                options.seed = args[i];
+                break;
+            case '--stateless':
+                options.stateful = false;
+                break;
+            default:
+                throw Error('Unknown option: ' + args[i] + '\n' + usage);
+        }
+    }
+
+    const swagger = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const server = http.createServer(mock(swagger, options));
+    server.listen(port, () => {
+        if (callback) {
+            callback(server);
+        } else {
+            console.log('Mock server for ' + file + ' listening on port ' + server.address().port);
+        }
+    });
+    return server;
+}
+
+function number(value) {
+    if (!/^\d+$/.test(value)) throw Error(usage);
+    return +value;
+}
+
+if (require.main === module) {
+    try {
+        cli(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
\ No newline at end of file
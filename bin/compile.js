@@ -0,0 +1,104 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const escape            = require('./escape');
+const flatten           = require('./flatten');
+const getSchemaType     = require('./schema-type');
+
+const cache = new WeakMap();
+
+module.exports = compile;
+
+/**
+ * Get the compiled representation of a dereferenced schema. Each schema is compiled once and
+ * the result is reused, so a schema must not be modified after it has been compiled.
+ * @param {Object} schema
+ * @returns {{ composed: boolean, hasComposition: boolean, inheritance: Object[]|undefined, nullable: boolean, path: string|undefined, pattern: RegExp|undefined, readOnly: boolean, required: Set, requiredProperties: string[], type: string|undefined, writeOnly: boolean }}
+ */
+function compile(schema) {
+    let compiled = cache.get(schema);
+    if (!compiled) {
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        compiled = {
+            composed: Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf) || !!(schema.not && typeof schema.not === 'object'),
+            nullable: schema['x-nullable'] === true || schema.nullable === true,
+            path: undefined,
+            pattern: schema.hasOwnProperty('pattern') ? new RegExp(schema.pattern) : undefined,
+            readOnly: schema.readOnly === true,
+            required: new Set(required),
+            requiredProperties: schema.properties ? required.filter(property => schema.properties.hasOwnProperty(property)) : [],
+            type: getSchemaType(schema),
+            writeOnly: schema.writeOnly === true || schema['x-writeOnly'] === true
+        };
+        cache.set(schema, compiled);
+
+        // the flattened allOf schemas, unless a discriminator makes them depend on the value
+        compiled.inheritance = inheritance(schema);
+
+        // whether any schema that an object inherits from uses anyOf, oneOf, or not
+        compiled.hasComposition = !compiled.inheritance || compiled.inheritance
+            .some(item => item === schema ? compiled.composed : compile(item).composed);
+    }
+    return compiled;
+}
+
+/**
+ * Compile a schema and every schema that it contains. If a path is provided then each schema that
+ * does not have a path yet gets the JSON pointer to its location, which errors use as their schema path.
+ * @param {Object} schema
+ * @param {string} [path] The JSON pointer to the schema, for example: "#/definitions/Pet"
+ */
+compile.all = function(schema, path) {
+    const visited = new Set();
+    const stack = [ { path: path, value: schema } ];
+    while (stack.length) {
+        const item = stack.pop();
+        const value = item.value;
+        if (value && typeof value === 'object' && !visited.has(value)) {
+            visited.add(value);
+            if (!Array.isArray(value)) {
+                const compiled = compile(value);
+                if (compiled.path === undefined) compiled.path = item.path;
+            }
+            schemaChildren(value).forEach(child => stack.push({
+                path: item.path === undefined ? undefined : item.path + '/' + child.key,
+                value: child.value
+            }));
+        }
+    }
+};
+
+// the flattened allOf schemas, or undefined if one is discriminated
+function inheritance(schema) {
+    const schemas = flatten(schema).filter(item => !Array.isArray(item.allOf));
+    return schemas.some(item => item.hasOwnProperty('discriminator')) ? undefined : schemas;
+}
+
+// get the schemas, or arrays of schemas, that a value contains and the key of each
+function schemaChildren(value) {
+    if (Array.isArray(value)) return value.map((item, index) => ({ key: String(index), value: item }));
+
+    const children = [];
+    if (value.items) children.push({ key: 'items', value: value.items });
+    if (value.additionalProperties && typeof value.additionalProperties === 'object') children.push({ key: 'additionalProperties', value: value.additionalProperties });
+    if (Array.isArray(value.allOf)) children.push({ key: 'allOf', value: value.allOf });
+    if (Array.isArray(value.anyOf)) children.push({ key: 'anyOf', value: value.anyOf });
+    if (Array.isArray(value.oneOf)) children.push({ key: 'oneOf', value: value.oneOf });
+    if (value.not && typeof value.not === 'object') children.push({ key: 'not', value: value.not });
+    if (value.properties) Object.keys(value.properties).forEach(key => children.push({ key: 'properties/' + escape(key), value: value.properties[key] }));
+    return children;
+}
\ No newline at end of file
@@ -88,49 +88,80 @@ exports.byte = function(value) {
 /**
  * Take a number, date value, or a date string and convert to date format.
  * @param {Date, string, number} value
+ * @param {Object} [options] The same options as the dateTime conversion.
  * @returns {string}
  */
-exports.date = function(value) {
-    return exports.dateTime(value).substr(0, 10);
+exports.date = function(value, options) {
+    return exports.dateTime(value, options).substr(0, 10);
 };
 
 /**
- * Take a number, date value, or a date string and convert to ISO date format.
+ * Take a number, date value, or a date string and convert to RFC 3339 date-time format. Without a
+ * time zone the result is in UTC with millisecond precision.
  * @param {Date, string, number} value
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] Set to "preserve" to keep the offset of a date-time string, to an offset such as "+02:00", or to an IANA time zone name such as "America/Denver". The fractional seconds of a date-time string are kept.
  * @returns {string}
  */
-exports.dateTime = function(value) {
+exports.dateTime = function(value, options) {
+    const timeZone = options && options.timeZone;
     const type = typeof value;
     const isString = type === 'string';
+    let fraction;
+    let time;
 
     if (isString && rx.dateTime.test(value)) {
-        return new Date(value).toISOString();
+        if (timeZone === 'preserve') return value.toUpperCase();
+        const parsed = parseDateTime(value);
+        fraction = parsed.fraction;
+        time = parsed.time;
 
     } else if (isString && rx.date.test(value)) {
-        return new Date(value + 'T00:00:00.000Z').toISOString();
+        fraction = '';
+        time = new Date(value + 'T00:00:00.000Z').getTime();
 
-    } else if (value instanceof Date) {
-        return value.toISOString();
-
-    } else if (type === 'number') {
-        return new Date(value).toISOString();
+    } else if (value instanceof Date || type === 'number') {
+        time = +value;
+        fraction = String(1000 + ((time % 1000) + 1000) % 1000).substr(1);
 
     } else {
         throw Error('Cannot convert to date. The value must be a Date, a number, or a date string. Received: ' + smart(value));
     }
+
+    if (!timeZone) return new Date(time).toISOString();
+    if (timeZone === 'preserve') return formatDateTime(time, fraction, 0, 'Z');
+
+    const offset = rx.offset.exec(timeZone);
+    if (offset) {
+        const minutes = offset[1] ? (offset[1] === '-' ? -1 : 1) * (+offset[2] * 60 + +offset[3]) : 0;
+        return formatDateTime(time, fraction, minutes, timeZone.toUpperCase());
+    }
+
+    const minutes = zoneOffset(timeZone, time);
+    return formatDateTime(time, fraction, minutes, formatOffset(minutes));
 };
 
 /**
  * Convert a value to an integer.
- * @param {string, number, boolean} value
- * @returns {number}
+ * @param {string, number, boolean, bigint} value
+ * @param {Object} [options]
+ * @param {string} [options.int64='number'] Set to "bigint" to produce a BigInt or to "string" to produce a decimal string. Either keeps integers beyond the safe integer range exact.
+ * @returns {number, bigint, string}
  */
-exports.integer = function(value) {
+exports.integer = function(value, options) {
+    const int64 = options && options.int64;
     const type = typeof value;
 
+    if (int64 === 'bigint' || int64 === 'string') {
+        const integer = toBigInt(value);
+        return int64 === 'bigint' ? integer : integer.toString();
+    }
+
+    if (type === 'bigint') return Number(value);
+
     if (!isNaN(value)) {
         if (type === 'string') {
-            return parseInt(value);
+            return rx.integer.test(value) ? Number(value) : parseInt(value);
         } else if (type === 'number') {
             return Math.round(value);
         } else if (type === 'boolean') {
@@ -182,4 +213,77 @@ function decToBin(dec) {
     const binary = (dec >>> 0).toString(2);
     const mod = binary.length % 8;
     return mod === 0 ? binary : zeros.substr(mod) + binary;
+}
+
+function formatDateTime(time, fraction, offset, designator) {
+    const iso = new Date(time + offset * 60000).toISOString();
+    return iso.substr(0, 19) + (fraction ? '.' + fraction : '') + designator;
+}
+
+function formatOffset(offset) {
+    if (offset === 0) return 'Z';
+    const minutes = Math.abs(offset);
+    return (offset < 0 ? '-' : '+') + String(100 + Math.floor(minutes / 60)).substr(1) + ':' + String(100 + minutes % 60).substr(1);
+}
+
+function parseDateTime(value) {
+    const match = rx.dateTime.exec(value);
+    const fraction = match[7] || '';
+    const offset = match[9] ? (match[9] === '-' ? -1 : 1) * (+match[10] * 60 + +match[11]) : 0;
+
+    // leap seconds and offsets roll over into the following minute, hour, or day
+    const date = new Date(0);
+    date.setUTCFullYear(+match[1], +match[2] - 1, +match[3]);
+    date.setUTCHours(+match[4], +match[5] - offset, +match[6], +(fraction + '000').substr(0, 3));
+
+    return {
+        fraction: fraction,
+        time: date.getTime()
+    };
+}
+
+function toBigInt(value) {
+    const type = typeof value;
+
+    if (type === 'bigint') {
+        return value;
+
+    } else if (type === 'string' && rx.int64.test(value)) {
+        return BigInt(value);
+
+    } else if (type !== 'symbol' && isFinite(value)) {
+        if (type === 'string') {
+            return BigInt(Math.round(parseFloat(value)));
+        } else if (type === 'number') {
+            return BigInt(Math.round(value));
+        } else if (type === 'boolean') {
+            return BigInt(value ? 1 : 0);
+        }
+    }
+
+    throw Error('Cannot convert to integer. The value must be numeric. Received: ' + smart(value));
+}
+
+function zoneOffset(timeZone, time) {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(new Date(time));
+    } catch (err) {
+        throw Error('Cannot convert to date. Unknown time zone: ' + smart(timeZone));
+    }
+
+    const part = type => +parts.find(item => item.type === type).value;
+    const local = new Date(0);
+    local.setUTCFullYear(part('year'), part('month') - 1, part('day'));
+    local.setUTCHours(part('hour'), part('minute'), part('second'));
+    return Math.round((local.getTime() - Math.floor(time / 1000) * 1000) / 60000);
 }
\ No newline at end of file
@@ -19,20 +19,31 @@
 module.exports = copy;
 
 /**
- * Copied Dates, Buffers, Arrays, plain Objects, and Primitives
+ * Copied Dates, Buffers, Arrays, plain Objects, and Primitives. Circular references are copied as circular references.
  * @param {*} value
  * @returns {*}
  */
 function copy(value) {
+    return copyValue(value, new Map());
+}
+
+// copy a value, using the map of values that have already been copied to their copies
+function copyValue(value, map) {
     if (value instanceof Date) {
         return new Date(+value);
     } else if (value instanceof Buffer) {
         return value.slice(0);
+    } else if (map.has(value)) {
+        return map.get(value);
     } else if (Array.isArray(value)) {
-        return value.map(copy);
+        const result = [];
+        map.set(value, result);
+        value.forEach(item => result.push(copyValue(item, map)));
+        return result;
     } else if (value && typeof value === 'object') {
         const result = {};
-        Object.keys(value).forEach(key => result[key] = copy(value[key]));
+        map.set(value, result);
+        Object.keys(value).forEach(key => result[key] = copyValue(value[key], map));
         return result;
     } else {
         return value;
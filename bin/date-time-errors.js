@@ -0,0 +1,60 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const rx                = require('./rx');
+
+/**
+ * Get the reasons that a string in the RFC 3339 date-time format is not a real date and time, such
+ * as a day that the month does not have, an hour above 23, or a leap second that is not at the end
+ * of a UTC day. Each reason is a message key, or an object with the key and the message's data.
+ * @param {string} value A string that matches the date-time format.
+ * @returns {Array<string|{ key: string, data: Object }>}
+ */
+module.exports = function dateTimeErrors(value) {
+    const match = rx.dateTime.exec(value);
+    const errors = [];
+
+    const year = +match[1];
+    const month = +match[2] - 1;
+    const day = +match[3];
+    const date = new Date(0);
+    date.setUTCFullYear(year, month, day);
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+        errors.push('ESEDATE:calendar');
+    }
+
+    const hour = +match[4];
+    const minute = +match[5];
+    const second = +match[6];
+    if (hour > 23) errors.push({ key: 'ESEDATE:hour', data: { received: hour } });
+    if (minute > 59) errors.push({ key: 'ESEDATE:minute', data: { received: minute } });
+    if (second > 60) errors.push({ key: 'ESEDATE:second', data: { received: second } });
+
+    const offsetHour = match[10] ? +match[10] : 0;
+    const offsetMinute = match[11] ? +match[11] : 0;
+    if (offsetHour > 23) errors.push({ key: 'ESEDATE:offsetHour', data: { received: offsetHour } });
+    if (offsetMinute > 59) errors.push({ key: 'ESEDATE:offsetMinute', data: { received: offsetMinute } });
+
+    // a leap second is added at the end of a UTC day
+    if (second === 60) {
+        const offset = (match[9] === '-' ? -1 : 1) * (offsetHour * 60 + offsetMinute);
+        const utcMinute = ((hour * 60 + minute - offset) % 1440 + 1440) % 1440;
+        if (utcMinute !== 1439) errors.push('ESEDATE:leapSecond');
+    }
+
+    return errors;
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+// values produced by dereferencing, these never need to be dereferenced again
+const dereferenced = new WeakSet();
+
+module.exports = dereference;
+
+/**
+ * Produce a copy of a value where every $ref object is replaced by the value its JSON pointer
+ * references. Objects that are shared within the original value are also shared within the copy.
+ * @param {Object} root The document that JSON pointers are resolved against.
+ * @param {*} [value] The value to dereference. Defaults to the root.
+ * @returns {*}
+ * @throws {Error} If a reference cannot be resolved.
+ */
+function dereference(root, value) {
+    const store = {
+        map: new Map(),
+        resolving: new Set(),
+        root: root
+    };
+    return build(store, arguments.length < 2 ? root : value);
+}
+
+/**
+ * Get the value within a document that a JSON pointer references.
+ * @param {Object} root The document that JSON pointers are resolved against.
+ * @param {string} ref The JSON pointer, for example: "#/definitions/Pet"
+ * @returns {*}
+ * @throws {Error} If the reference cannot be resolved.
+ */
+dereference.resolve = function(root, ref) {
+    if (ref.charAt(0) !== '#') throw buildError('Unable to resolve non-local reference: ' + ref);
+
+    const path = ref.substr(1).split('/');
+    const length = path.length;
+    let value = root;
+    for (let i = 1; i < length; i++) {
+        const key = decodeURIComponent(path[i]).replace(/~1/g, '/').replace(/~0/g, '~');
+
+        // follow references found along the path
+        if (value && typeof value.$ref === 'string') value = dereference.resolve(root, value.$ref);
+
+        if (!value || typeof value !== 'object' || !value.hasOwnProperty(key)) {
+            throw buildError('Unable to resolve reference: ' + ref);
+        }
+        value = value[key];
+    }
+    return value;
+};
+
+/**
+ * Determine whether a value was produced by dereferencing and therefore has no $ref objects.
+ * @param {*} value
+ * @returns {boolean}
+ */
+dereference.isDereferenced = function(value) {
+    return dereferenced.has(value);
+};
+
+function build(store, value) {
+    if (!value || typeof value !== 'object' || dereferenced.has(value)) return value;
+    if (store.map.has(value)) return store.map.get(value);
+
+    let result;
+    if (typeof value.$ref === 'string') {
+        if (store.resolving.has(value)) throw buildError('Unable to resolve circular reference: ' + value.$ref);
+        store.resolving.add(value);
+        result = build(store, dereference.resolve(store.root, value.$ref));
+        store.resolving.delete(value);
+        store.map.set(value, result);
+
+    } else if (Array.isArray(value)) {
+        result = [];
+        store.map.set(value, result);
+        dereferenced.add(result);
+        value.forEach(item => result.push(build(store, item)));
+
+    } else if (isPlainObject(value)) {
+        result = {};
+        store.map.set(value, result);
+        dereferenced.add(result);
+        Object.keys(value).forEach(key => result[key] = build(store, value[key]));
+
+    } else {
+        result = value;
+    }
+
+    return result;
+}
+
+function buildError(message) {
+    const err = Error(message);
+    err.code = 'ESEREF';
+    return err;
+}
+
+function isPlainObject(value) {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
\ No newline at end of file
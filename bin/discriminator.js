@@ -0,0 +1,91 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const dereference       = require('./dereference');
+const flatten           = require('./flatten');
+
+/**
+ * Get the schemas that a subtype adds to a discriminated base schema. These are the subtype's
+ * flattened allOf schemas, excluding the base schema and anything the base schema inherits.
+ * @param {Object} subtype
+ * @param {Object} base
+ * @returns {Object[]}
+ */
+exports.extensions = function(subtype, base) {
+    const inherited = flatten(base);
+    return flatten(subtype)
+        .filter(schema => !Array.isArray(schema.allOf) && inherited.indexOf(schema) === -1);
+};
+
+/**
+ * Determine whether a subtype schema is the base schema or extends it through allOf.
+ * @param {Object} subtype
+ * @param {Object} base
+ * @returns {boolean}
+ */
+exports.extends = function(subtype, base) {
+    return flatten(subtype).indexOf(base) !== -1;
+};
+
+/**
+ * Get the discriminator mapping of wire values to definition names or JSON pointers. The mapping
+ * is defined by either the "x-discriminator-mapping" property or the OpenAPI 3 style
+ * "discriminator.mapping" property.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+exports.mapping = function(schema) {
+    const discriminator = schema.discriminator;
+    if (schema['x-discriminator-mapping']) return schema['x-discriminator-mapping'];
+    if (discriminator && typeof discriminator === 'object' && discriminator.mapping) return discriminator.mapping;
+    return {};
+};
+
+/**
+ * Get the name of the property whose value selects the subtype. The discriminator may be a string
+ * (swagger 2.0) or an object with a propertyName (OpenAPI 3).
+ * @param {Object} schema
+ * @returns {string|undefined}
+ */
+exports.property = function(schema) {
+    const discriminator = schema.discriminator;
+    if (typeof discriminator === 'string') return discriminator;
+    if (discriminator && typeof discriminator === 'object') return discriminator.propertyName;
+};
+
+/**
+ * Get the subtype schema that a discriminator value selects. A mapped value may be a definition
+ * name or a JSON pointer. Values that are not mapped select the definition with the same name.
+ * @param {Object} schema The discriminated schema.
+ * @param {Object} definitions
+ * @param {string} value The discriminator property's value.
+ * @returns {Object|undefined}
+ */
+exports.subtype = function(schema, definitions, value) {
+    const mapping = exports.mapping(schema);
+    const name = mapping.hasOwnProperty(value) ? mapping[value] : value;
+
+    if (typeof name === 'string' && name.charAt(0) === '#') {
+        try {
+            return dereference.resolve({ definitions: definitions }, name);
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    return definitions.hasOwnProperty(name) ? definitions[name] : undefined;
+};
\ No newline at end of file
@@ -0,0 +1,420 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const applyTemplate     = require('./apply-template');
+const compile           = require('./compile');
+const copy              = require('./copy');
+const dereference       = require('./dereference');
+const Enforcer          = require('./enforcer');
+const escape            = require('./escape');
+const getSchemaType     = require('./schema-type');
+const lint              = require('./lint');
+const messages          = require('./messages');
+const Parameter         = require('./parameter');
+const querystring       = require('querystring');
+const random            = require('./random');
+const Validator         = require('./validator');
+
+module.exports = Document;
+
+// the locations that a request's parameters can come from
+const locations = ['body', 'formData', 'header', 'path', 'query'];
+
+// the operation methods of a path item
+const methods = ['delete', 'get', 'head', 'options', 'patch', 'post', 'put'];
+
+/**
+ * Create a document instance that produces enforcers for the schemas within a swagger document.
+ * @param {object} definition A swagger 2.0 document.
+ * @param {object} [options={}] The enforcer options to use for each enforcer produced.
+ * @returns {Document}
+ * @constructor
+ */
+function Document(definition, options) {
+    const factory = Object.create(Document.prototype);
+
+    // validate definition
+    if (!definition || typeof definition !== 'object') throw Error('Swagger document must be a non-null object.');
+
+    // validate options
+    if (arguments.length < 2) options = {};
+    if (!options || typeof options !== 'object') throw Error('Enforcer options must be a non-null object.');
+
+    // validate all schemas within the document
+    if (options.lint !== false) lint.document(definition, true);
+
+    // resolve all $ref pointers
+    const document = dereference(definition);
+    if (!document.definitions) document.definitions = {};
+    if (!document.paths) document.paths = {};
+    compileSchemas(document);
+
+    Object.defineProperties(factory, {
+
+        /**
+         * @name Document#document
+         * @type {Object}
+         */
+        document: {
+            value: document
+        },
+
+        /**
+         * @name Document#enforcers
+         * @type {Map}
+         * @private
+         */
+        enforcers: {
+            value: new Map()
+        },
+
+        /**
+         * @name Document#options
+         * @type {Object}
+         */
+        options: {
+            value: options
+        },
+
+        /**
+         * @name Document#parameters
+         * @type {Map}
+         * @private
+         */
+        parameters: {
+            value: new Map()
+        },
+
+        /**
+         * @name Document#routes
+         * @type {Object[]}
+         * @private
+         */
+        routes: {
+            value: getRoutes(document)
+        }
+    });
+
+    return factory;
+}
+
+/**
+ * Build an enforced response body for an operation's response. The body starts with the schema's
+ * defaults and x-template values applied, using the params for template replacement.
+ * @param {string} path The path as it is written in the swagger document.
+ * @param {string} method
+ * @param {number, string} status The response status code. If it is not defined then the default response is used.
+ * @param {Object} [params={}] The parameters for template replacement.
+ * @returns {*}
+ */
+Document.prototype.buildResponse = function(path, method, status, params) {
+    const enforcer = this.response(path, method, status);
+    const type = getSchemaType(enforcer.schema);
+    let value = applyTemplate(enforcer.schema, enforcer.definitions, params || {});
+    if (value === undefined && type === 'array') value = [];
+    if (value === undefined && type === 'object') value = {};
+    return value === undefined ? enforcer.enforce() : enforcer.enforce(value);
+};
+
+/**
+ * Get an enforcer for a named definition.
+ * @param {string} name
+ * @returns {Enforcer}
+ */
+Document.prototype.definition = function(name) {
+    const definitions = this.document.definitions;
+    if (!definitions.hasOwnProperty(name)) throw Error('Definition not found: ' + name);
+    return getEnforcer(this, definitions[name], this.options.direction);
+};
+
+/**
+ * Produce a mock body for an operation's response. The response's examples are used first, with
+ * JSON examples preferred, then the examples within the response schema. Random values are
+ * generated where there are no valid examples.
+ * @param {string} path The path as it is written in the swagger document.
+ * @param {string} method
+ * @param {number, string} status The response status code. If it is not defined then the default response is used.
+ * @param {number, string} [seed=0] The seed for generated values.
+ * @returns {{ errors: Error[], value: * }} The errors are for examples that do not satisfy their schema.
+ */
+Document.prototype.example = function(path, method, status, seed) {
+    const response = getResponse(this.document, path, method, status);
+    const examples = response.examples || {};
+    const names = Object.keys(examples).sort((a, b) => (/json/i.test(b) ? 1 : 0) - (/json/i.test(a) ? 1 : 0));
+
+    if (!response.schema) {
+        return {
+            errors: [],
+            value: names.length ? copy(examples[names[0]]) : undefined
+        };
+    }
+
+    const ordered = {};
+    names.forEach(name => ordered[name] = examples[name]);
+    const enforcer = this.response(path, method, status);
+    return random.example(enforcer.schema, enforcer.definitions, enforcer.options, seed, ordered);
+};
+
+/**
+ * Validate an HTTP request as a whole. The request path is matched to a path template, then each
+ * parameter that the operation declares is deserialized and validated, and the body is validated
+ * against the body parameter's schema. A body is complete, so its required properties, minItems,
+ * and minProperties are enforced even if the options do not enforce them.
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.path The request path, including the base path. It may include a query string.
+ * @param {Object} [request.query] The query parameters. If not provided then they are parsed from the path.
+ * @param {Object} [request.headers]
+ * @param {*} [request.body] The body, or an object of the form data fields.
+ * @returns {{ errors: Object|null, params: Object, path: string }} The errors are grouped by parameter location.
+ * @throws {Error} If the path does not match a path template (ESEPATH) or the method is not defined (ESEMTHD).
+ */
+Document.prototype.request = function(request) {
+    if (!request || typeof request !== 'object') throw Error('Request must be a non-null object.');
+
+    const method = String(request.method).toLowerCase();
+    const pathParts = String(request.path).split('?');
+    const route = findRoute(this, pathParts[0]);
+    if (!this.document.paths[route.path][method]) {
+        throw routingError('Method not defined: ' + method.toUpperCase() + ' ' + route.path, 'MTHD');
+    }
+
+    const headers = lowerCaseKeys(request.headers || {});
+    const sources = {
+        formData: request.body && typeof request.body === 'object' ? request.body : {},
+        path: route.params,
+        query: request.query || querystring.parse(pathParts.slice(1).join('?'))
+    };
+    const errors = {};
+    const params = { formData: {}, header: {}, path: {}, query: {} };
+
+    getParameters(this.document, route.path, method).forEach(definition => {
+        const location = definition.in;
+        if (location === 'body') {
+            const result = validateBody(this, definition, request.body);
+            if (result.length) errors.body = result;
+            params.body = request.body;
+        } else if (location === 'path' && route.malformed.indexOf(definition.name) !== -1) {
+            errors.path = (errors.path || []).concat(encodingError(this, definition, route.params[definition.name]));
+        } else {
+            const value = location === 'header'
+                ? headers[definition.name.toLowerCase()]
+                : sources[location][definition.name];
+            const result = getParameter(this, definition).parse(value);
+            if (result.errors.length) errors[location] = (errors[location] || []).concat(result.errors);
+            if (result.value !== undefined) params[location][definition.name] = result.value;
+        }
+    });
+
+    return {
+        errors: locations.some(location => errors.hasOwnProperty(location)) ? errors : null,
+        params: params,
+        path: route.path
+    };
+};
+
+/**
+ * Get an enforcer for an operation's body parameter. Unless the document's options define a
+ * direction, the enforcer uses the "request" direction.
+ * @param {string} path The path as it is written in the swagger document.
+ * @param {string} method
+ * @returns {Enforcer}
+ */
+Document.prototype.requestBody = function(path, method) {
+    const body = getParameters(this.document, path, method).find(param => param.in === 'body');
+    if (!body || !body.schema) throw Error('Operation does not define a body parameter: ' + method.toUpperCase() + ' ' + path);
+    return getEnforcer(this, body.schema, this.options.direction || 'request');
+};
+
+/**
+ * Get an enforcer for an operation's response schema. Unless the document's options define a
+ * direction, the enforcer uses the "response" direction.
+ * @param {string} path The path as it is written in the swagger document.
+ * @param {string} method
+ * @param {number, string} status The response status code. If it is not defined then the default response is used.
+ * @param {boolean} [complete=false] Also enforce required properties, minItems, and minProperties, as for a body that is sent.
+ * @returns {Enforcer}
+ */
+Document.prototype.response = function(path, method, status, complete) {
+    const response = getResponse(this.document, path, method, status);
+    if (!response.schema) throw Error('Response ' + status + ' does not define a schema: ' + method.toUpperCase() + ' ' + path);
+    return getEnforcer(this, response.schema, this.options.direction || 'response', !!complete);
+};
+
+// compile the schemas with their location within the document, so that errors have schema paths into the document
+function compileSchemas(document) {
+    Object.keys(document.definitions).forEach(name => compile.all(document.definitions[name], '#/definitions/' + escape(name)));
+    Object.keys(document.paths).forEach(path => {
+        const at = '#/paths/' + escape(path);
+        const pathItem = document.paths[path];
+        (pathItem.parameters || []).forEach((parameter, index) => {
+            if (parameter.in === 'body' && parameter.schema) compile.all(parameter.schema, at + '/parameters/' + index + '/schema');
+        });
+        methods.forEach(method => {
+            const operation = pathItem[method];
+            if (operation) {
+                const responses = operation.responses || {};
+                (operation.parameters || []).forEach((parameter, index) => {
+                    if (parameter.in === 'body' && parameter.schema) compile.all(parameter.schema, at + '/' + method + '/parameters/' + index + '/schema');
+                });
+                Object.keys(responses).forEach(code => {
+                    if (responses[code] && responses[code].schema) compile.all(responses[code].schema, at + '/' + method + '/responses/' + code + '/schema');
+                });
+            }
+        });
+    });
+}
+
+// the error for a path parameter whose value is not a valid URI component
+function encodingError(context, definition, value) {
+    const message = messages.format('ESEENCD', { name: definition.name, value: value }, context.options.locale);
+    const err = new Validator({}, {}, false).error('', message, 'ENCD', { keyword: 'in', value: value }).errors[0];
+    err.in = 'path';
+    err.parameter = definition.name;
+    return err;
+}
+
+function findRoute(context, path) {
+    const basePath = (context.document.basePath || '').replace(/\/$/, '');
+    if (path.indexOf(basePath + '/') !== 0 && path !== basePath) throw routingError('Path not found: ' + path, 'PATH');
+
+    const subPath = path.substr(basePath.length).replace(/(.)\/$/, '$1') || '/';
+    const length = context.routes.length;
+    for (let i = 0; i < length; i++) {
+        const route = context.routes[i];
+        const match = route.rx.exec(subPath);
+        if (match) {
+            const malformed = [];
+            const params = {};
+            route.names.forEach((name, index) => {
+                try {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                } catch (err) {
+                    params[name] = match[index + 1];
+                    malformed.push(name);
+                }
+            });
+            return {
+                malformed: malformed,
+                params: params,
+                path: route.path
+            };
+        }
+    }
+
+    throw routingError('Path not found: ' + path, 'PATH');
+}
+
+// get an enforcer for a schema, which if complete also enforces required properties, minItems, and minProperties
+function getEnforcer(context, schema, direction, complete) {
+    const key = complete ? 'complete ' + direction : direction;
+    if (!context.enforcers.has(key)) context.enforcers.set(key, new Map());
+
+    const enforcers = context.enforcers.get(key);
+    if (!enforcers.has(schema)) {
+        const options = complete
+            ? Object.assign({}, getEnforcer(context, schema, direction).options)
+            : Object.assign({}, context.options, { lint: false });
+        if (direction) options.direction = direction;
+        if (complete) options.enforce = Object.assign({}, options.enforce, { minItems: true, minProperties: true, required: true });
+        enforcers.set(schema, Enforcer(schema, context.document.definitions, options));
+    }
+    return enforcers.get(schema);
+}
+
+function getParameter(context, definition) {
+    if (!context.parameters.has(definition)) {
+        context.parameters.set(definition, Parameter(definition, Object.assign({}, context.options, { lint: false })));
+    }
+    return context.parameters.get(definition);
+}
+
+function getOperation(definition, path, method) {
+    const pathItem = definition.paths[path];
+    if (!pathItem) throw Error('Path not defined: ' + path);
+
+    const operation = pathItem[method.toLowerCase()];
+    if (!operation) throw Error('Method not defined: ' + method.toUpperCase() + ' ' + path);
+
+    return operation;
+}
+
+function getParameters(definition, path, method) {
+    const operation = getOperation(definition, path, method);
+    const results = (operation.parameters || []).slice(0);
+
+    // path parameters are overwritten by operation parameters with the same name and location
+    (definition.paths[path].parameters || [])
+        .forEach(param => {
+            if (!results.find(p => p.name === param.name && p.in === param.in)) results.push(param);
+        });
+
+    return results;
+}
+
+function getResponse(definition, path, method, status) {
+    const responses = getOperation(definition, path, method).responses || {};
+    const response = responses[status] || responses.default;
+    if (!response) throw Error('Operation does not define response ' + status + ': ' + method.toUpperCase() + ' ' + path);
+    return response;
+}
+
+// the path templates as regular expressions, with templates that have fewer parameters matched first
+function getRoutes(document) {
+    return Object.keys(document.paths)
+        .map(path => {
+            const names = [];
+            const pattern = path
+                .split(/({[^}]+})/)
+                .map(part => {
+                    const match = /^{([^}]+)}$/.exec(part);
+                    if (!match) return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+                    names.push(match[1]);
+                    return '([^/]+)';
+                })
+                .join('');
+            return {
+                names: names,
+                path: path,
+                rx: new RegExp('^' + pattern + '$')
+            };
+        })
+        .sort((a, b) => a.names.length - b.names.length);
+}
+
+function lowerCaseKeys(object) {
+    const result = {};
+    Object.keys(object).forEach(key => result[key.toLowerCase()] = object[key]);
+    return result;
+}
+
+function routingError(message, code) {
+    const err = Error(message);
+    err.code = 'ESE' + code;
+    return err;
+}
+
+function validateBody(context, definition, body) {
+    const errors = body === undefined
+        ? (definition.required ? new Validator({}, {}, false).error('', messages.format('ESEREQ:body', {}, context.options.locale), 'REQ', { keyword: 'required' }).errors : [])
+        : getEnforcer(context, definition.schema, context.options.direction || 'request', true).errors(body);
+    errors.forEach(err => {
+        err.in = 'body';
+        err.parameter = definition.name;
+    });
+    return errors;
+}
\ No newline at end of file
@@ -17,10 +17,18 @@
 'use strict';
 const applyDefaults     = require('./apply-defaults');
 const canProxy          = require('./can-proxy');
+const compile           = require('./compile');
 const copy              = require('./copy');
+const dereference       = require('./dereference');
+const escape            = require('./escape');
+const formats           = require('./formats');
 const getSchemaType     = require('./schema-type');
+const lint              = require('./lint');
+const random            = require('./random');
+const release           = require('./release');
 const rx                = require('./rx');
 const schemas           = require('./schemas');
+const serialize         = require('./serialize');
 const to                = require('./convert-to');
 const Validator         = require('./validator');
 
@@ -29,7 +37,7 @@ module.exports = Enforcer;
 /**
  * Create an enforcer instance.
  * @param {object} schema
- * @param {object} [definitions={}] Only required if discriminators are used
+ * @param {object} [definitions={}] Only required if discriminators or $ref pointers are used
  * @param {object} [options={}]
  * @returns {Enforcer}
  * @constructor
@@ -54,6 +62,16 @@ function Enforcer(schema, definitions, options) {
     options = schemas.enforcer.normalize(options);
     if (straightEnforcement) Object.keys(options.enforce).forEach(key => options.enforce[key] = straightEnforcementValue);
 
+    // validate the schema and definitions
+    if (options.lint) lint(schema, definitions, true);
+
+    // resolve all $ref pointers
+    const document = dereference({ definitions: definitions, schema: schema });
+
+    // compile all schemas once so that validation does not need to, definitions first so that referenced schemas have their definition's path
+    Object.keys(document.definitions).forEach(name => compile.all(document.definitions[name], '#/definitions/' + escape(name)));
+    compile.all(document.schema, '#');
+
     Object.defineProperties(factory, {
 
         /**
@@ -61,7 +79,7 @@ function Enforcer(schema, definitions, options) {
          * @type {Object}
          */
         definitions: {
-            value: definitions, //preppedDefinitions
+            value: document.definitions
         },
 
         /**
@@ -77,7 +95,7 @@ function Enforcer(schema, definitions, options) {
          * @type {Object}
          */
         schema: {
-            value: schema //new PreppedSchema(schema, options)
+            value: document.schema
         }
     });
 
@@ -87,7 +105,8 @@ function Enforcer(schema, definitions, options) {
 Enforcer.prototype.enforce = function (initial) {
     const options = this.options;
     const schema = this.schema;
-    const validator = new Validator(this.options.enforce, this.definitions, true);
+    const validator = getValidator(this, true);
+    validator.building = true;
     if (!canProxy.proxiable) validator.error('', 'Your version of JavaScript does not support proxying.', 'PROX');
 
     // determine initial value if not provided
@@ -104,20 +123,69 @@ Enforcer.prototype.enforce = function (initial) {
     initial = autoFormat(schema, options, initial);
 
     // validate initial value
+    validator.circular('', initial);
     validator.validate(schema, '', initial);
 
     // return proxy
-    return getProxy(validator, schema, this.definitions, options, initial);
+    return getProxy(validator, schema, this.definitions, options, initial, {});
 };
 
-Enforcer.prototype.errors = function (value) {
-    const schema = this.schema;
-    return new Validator(this.options.enforce, this.definitions, false).validate(schema, '', value).errors;
+/**
+ * Convert the wire values within a value into richer values, such as a date-time string into a Date.
+ * @param {*} value
+ * @returns {{ errors: Error[], value: * }}
+ */
+Enforcer.prototype.deserialize = function (value) {
+    return serialize.deserialize(this.schema, this.definitions, this.options, value);
 };
 
-Enforcer.prototype.validate = function (value) {
-    const schema = this.schema;
-    new Validator(this.options.enforce, this.definitions, false).validate(schema, '', value).throw();
+/**
+ * Run a full validation of a value and get the errors.
+ * @param {*} value
+ * @param {Object} [options={}]
+ * @param {string} [options.locale] The locale of the error messages. Defaults to the enforcer's locale option.
+ * @returns {Error[]}
+ */
+Enforcer.prototype.errors = function (value, options) {
+    return validate(this, value, options).errors;
+};
+
+/**
+ * Produce a value from the schema's examples, generating random values where there are none.
+ * @param {number, string} [seed=0] The seed for generated values.
+ * @returns {{ errors: Error[], value: * }} The errors are for examples that do not satisfy their schema.
+ */
+Enforcer.prototype.example = function (seed) {
+    return random.example(this.schema, this.definitions, this.options, seed);
+};
+
+/**
+ * Generate a random value that satisfies the schema.
+ * @param {number, string} [seed] Generate the same value each time for the same seed.
+ * @returns {*}
+ */
+Enforcer.prototype.random = function (seed) {
+    return random(this.schema, this.definitions, this.options, seed);
+};
+
+/**
+ * Convert the rich values within a value into wire values, such as a Date into a date-time string.
+ * @param {*} value
+ * @returns {{ errors: Error[], value: * }}
+ */
+Enforcer.prototype.serialize = function (value) {
+    return serialize.serialize(this.schema, this.definitions, this.options, value);
+};
+
+/**
+ * Run a full validation of a value and throw a ValidationError if it is not valid.
+ * @param {*} value
+ * @param {Object} [options={}]
+ * @param {string} [options.locale] The locale of the error messages. Defaults to the enforcer's locale option.
+ * @throws {ValidationError}
+ */
+Enforcer.prototype.validate = function (value, options) {
+    validate(this, value, options).throw();
 };
 
 /**
@@ -127,106 +195,142 @@ Enforcer.prototype.validate = function (value) {
  * @param {Object} definitions The definitions object.
  * @param {Object} options The options configuration.
  * @param {Array} initial The array to initialize from.
+ * @param {Object} location The array's position within the enforced value.
  * @returns {Array}
  */
-function arrayProxy(validator, schema, definitions, options, initial) {
+function arrayProxy(validator, schema, definitions, options, initial, location) {
 
     const proxy = new Proxy(initial, {
         get: function(target, property) {
             switch (property) {
                 case '__swaggerResponseType__': return 'array';
                 case '__swaggerResponseProxyTarget__': return target;
+                case '__swaggerResponseLocation__': return location;
 
                 case 'concat': return function(value) {
+                    const detached = {};
+                    validator.circular('', arguments);
                     applyMultipleValueInitializations(schema.items, definitions, options, arguments);
                     const ar = target.concat.apply(target, arguments);
-                    validator.arrayItems(schema, '', ar, arguments);
+                    validator.arrayItems(schema, '', ar, arguments, target.length);
                     validator.arrayLength(schema, '', ar.length);
-                    arraySetProxies(validator, schema, definitions, options, ar);
-                    return arrayProxy(validator, schema, definitions, options, ar);
+                    arraySetProxies(validator, schema, definitions, options, ar, detached, 0);
+                    return arrayProxy(validator, schema, definitions, options, ar, detached);
                 };
 
                 case 'copyWithin': return function(index, start, end) {
                     target.copyWithin.apply(target, arguments);
+                    relocate(target, location);
                     return proxy;
                 };
 
                 case 'fill': return function(value, start, end) {
+                    const at = pointer(location, arrayIndex(target, start));
+                    validator.circular(at, value, target);
                     if (schema.items) {
                         value = autoFormat(schema, options, value);
-                        validator.arrayItem(schema, '', target, value);
-                        arguments[0] = getProxy(validator, schema.items, definitions, options, value);
+                        validator.arrayItem(schema, at, target, value);
+                        arguments[0] = getProxy(validator, schema.items, definitions, options, value, childLocation(location, 0));
                     }
                     target.fill.apply(target, arguments);
+                    relocate(target, location);
                     return proxy;
                 };
 
                 case 'filter': return function(callback, thisArg) {
                     const ar = target.filter.apply(target, arguments);
                     validator.validate(schema, '', ar);
-                    return arrayProxy(validator, schema, definitions, options, ar);
+                    return arrayProxy(validator, schema, definitions, options, ar, {});
                 };
 
                 case 'map': return function(callback, thisArg) {
                     const ar = target.map.apply(target, arguments);
                     applyMultipleValueInitializations(schema.items, definitions, options, ar);
                     validator.validate(schema, '', ar);
-                    return arrayProxy(validator, schema, definitions, options, ar);
+                    return arrayProxy(validator, schema, definitions, options, ar, {});
                 };
 
                 case 'pop': return function() {
-                    validator.arrayLength(schema, '', target.length - 1);
+                    validator.arrayLength(schema, pointer(location), target.length - 1);
                     return target.pop();
                 };
 
                 case 'push': return function(value) {
+                    const at = pointer(location);
+                    validator.circular(at, arguments, target);
                     applyMultipleValueInitializations(schema.items, definitions, options, arguments);
-                    validator.arrayItems(schema, '', target, arguments);
-                    validator.arrayLength(schema, '', target.length + arguments.length);
-                    arraySetProxies(validator, schema, definitions, options, arguments);
+                    validator.arrayItems(schema, at, target, arguments, target.length);
+                    validator.arrayLength(schema, at, target.length + arguments.length);
+                    arraySetProxies(validator, schema, definitions, options, arguments, location, target.length);
                     return target.push.apply(target, arguments);
                 };
 
+                case 'reverse': return function() {
+                    target.reverse();
+                    relocate(target, location);
+                    return proxy;
+                };
+
                 case 'shift': return function() {
-                    validator.arrayLength(schema, '', target.length - 1);
-                    return target.shift();
+                    validator.arrayLength(schema, pointer(location), target.length - 1);
+                    const item = target.shift();
+                    relocate(target, location);
+                    return item;
                 };
 
                 case 'slice': return function(begin, end) {
                     const ar = target.slice.apply(target, arguments);
                     applyMultipleValueInitializations(schema.items, definitions, options, ar);
                     validator.validate(schema, '', ar);
-                    return arrayProxy(validator, schema, definitions, options, ar);
+                    return arrayProxy(validator, schema, definitions, options, ar, {});
+                };
+
+                case 'sort': return function(compare) {
+                    target.sort.apply(target, arguments);
+                    relocate(target, location);
+                    return proxy;
                 };
 
                 case 'splice': return function(start, deleteCount, item) {
+                    const at = pointer(location);
+                    const index = arrayIndex(target, start);
+                    const removed = {};
                     const args = someArguments(arguments, 2);
+                    validator.circular(at, args, target);
                     applyMultipleValueInitializations(schema.items, definitions, options, args);
-                    validator.arrayItems(schema, '', target, args);
-                    validator.arrayLength(schema, '', target.length + args.length - (deleteCount || 0));
-                    arraySetProxies(validator, schema, definitions, options, args);
+                    validator.arrayItems(schema, at, target, args, index);
+                    validator.arrayLength(schema, at, target.length + args.length - (deleteCount || 0));
+                    arraySetProxies(validator, schema, definitions, options, args, location, index);
                     const ar = target.splice.apply(target, arguments);
-                    return arrayProxy(validator, schema, definitions, options, ar);
+                    relocate(target, location);
+                    relocate(ar, removed);
+                    return arrayProxy(validator, schema, definitions, options, ar, removed);
                 };
 
                 case 'unshift': return function() {
+                    const at = pointer(location);
+                    validator.circular(at, arguments, target);
                     applyMultipleValueInitializations(schema.items, definitions, options, arguments);
-                    validator.arrayItems(schema, '', target, arguments);
-                    validator.arrayLength(schema, '', target.length + arguments.length);
-                    arraySetProxies(validator, schema, definitions, options, arguments);
-                    return target.unshift.apply(target, arguments);
+                    validator.arrayItems(schema, at, target, arguments, 0);
+                    validator.arrayLength(schema, at, target.length + arguments.length);
+                    arraySetProxies(validator, schema, definitions, options, arguments, location, 0);
+                    const length = target.unshift.apply(target, arguments);
+                    relocate(target, location);
+                    return length;
                 };
 
                 default: return target[property];
             }
         },
         set: function(target, property, value) {
-            if (rx.integer.test(property)) {
+            if (rx.index.test(property)) {
+                const at = pointer(location, property);
                 const index = parseInt(property);
-                if (index > target.length) validator.arrayLength(schema, '', index + 1);
+                if (index > target.length) validator.arrayLength(schema, pointer(location), index + 1);
+                validator.circular(at, value, target);
                 value = autoFormat(schema, options, value);
-                validator.arrayItem(schema, property, target, value);
-                target[property] = schema.items ? getProxy(validator, schema.items, definitions, options, value) : value;
+                validator.arrayItem(schema, at, target, value);
+                target[property] = schema.items ? getProxy(validator, schema.items, definitions, options, value, childLocation(location, property)) : value;
             } else {
                 target[property] = value;
             }
@@ -244,14 +348,23 @@ function arrayProxy(validator, schema, definitions, options, initial) {
  * @param {object} definitions The definitions object.
  * @param {object} options The options configuration.
  * @param {object} initial The initial value.
+ * @param {object} location The object's position within the enforced value.
  * @returns {object}
  */
-function objectProxy(validator, schema, definitions, options, initial) {
+function objectProxy(validator, schema, definitions, options, initial, location) {
+    const composed = compile(schema).hasComposition;
+    const polymorphic = !compile(schema).inheritance;
     return new Proxy(initial, {
         deleteProperty: function(target, property) {
-            const schemas = validator.objectSchemas(schema, '', target);
-            validator.objectPropertyLength(schemas, '', target, property, false);
-            validator.objectPropertyRequired(schemas, '', property);
+            const at = pointer(location);
+            const schemas = validator.objectSchemas(schema, at, target);
+            validator.objectPropertyLength(schemas, at, target, property, false);
+            validator.objectPropertyRequired(schemas, pointer(location, property), property);
+            if (composed) {
+                const candidate = Object.assign({}, target);
+                delete candidate[property];
+                validator.objectComposition(schema, at, candidate);
+            }
             delete target[property];
             return true;
         },
@@ -259,38 +372,63 @@ function objectProxy(validator, schema, definitions, options, initial) {
             switch (property) {
                 case '__swaggerResponseType__': return 'object';
                 case '__swaggerResponseProxyTarget__': return target;
+                case '__swaggerResponseLocation__': return location;
                 default: return target[property];
             }
         },
         set: function(target, property, value) {
-            const subSchema = schema.properties && schema.properties[property]
-                ? schema.properties[property]
-                : schema.additionalProperties;
+            const at = pointer(location);
+            const propertyAt = at + '/' + escape(property);
+            validator.circular(propertyAt, value, target);
 
-            value = applyDefaults(subSchema, definitions, options, value);
-            value = autoFormat(subSchema, options, value);
-            validator.serializable('', value);
+            // a composed schema's matching branches depend on the value being set
+            const candidate = composed ? Object.assign({}, target) : target;
+            if (composed) candidate[property] = value;
 
-            const schemas = validator.objectSchemas(schema, '', target);
-            validator.objectPropertyLength(schemas, '', target, property, true);
-            validator.objectProperty(schemas, '', value, property);
+            const subSchema = validator.propertySchema(schema, at, candidate, property);
+            if (isStripped(validator, subSchema)) return true;
 
-            target[property] = subSchema ? getProxy(validator, subSchema, definitions, options, value) : value;
+            if (options.useDefaults) value = applyDefaults(subSchema, definitions, options, value);
+            value = autoFormat(subSchema, options, value);
+            validator.serializable(propertyAt, value);
+            if (composed) candidate[property] = value;
+
+            const schemas = validator.objectSchemas(schema, at, candidate);
+            if (composed) validator.objectComposition(schema, at, candidate);
+            validator.objectPropertyLength(schemas, at, target, property, true);
+            validator.objectProperty(schemas, propertyAt, value, property);
+
+            // a discriminator change selects a different subtype for the entire object
+            if (polymorphic && !sameSchemas(schemas, validator.objectSchemas(schema, at, target))) {
+                reshape(validator, schema, definitions, options, target, candidate, location);
+                return true;
+            }
 
-            validator.objectHasRequiredProperties(schemas, '', target);
+            target[property] = subSchema ? getProxy(validator, subSchema, definitions, options, value, childLocation(location, property)) : value;
+
+            validator.objectHasRequiredProperties(schemas, at, target);
             return true;
         }
     });
 }
 
+/**
+ * Get the index that a relative index argument of an array function refers to.
+ * @param {Array} array
+ * @param {number} [start] A negative value counts back from the end of the array.
+ * @returns {number}
+ */
+function arrayIndex(array, start) {
+    const index = Math.trunc(start) || 0;
+    return index < 0 ? Math.max(array.length + index, 0) : Math.min(index, array.length);
+}
 
-
-function arraySetProxies(validator, schema, definitions, options, values) {
+function arraySetProxies(validator, schema, definitions, options, values, location, start) {
     if (schema.items) {
         const length = values.length;
         for (let i = 0; i < length; i++) {
             const value = autoFormat(schema, options, values[i]);
-            values[i] = getProxy(validator, schema.items, definitions, options, value);
+            values[i] = getProxy(validator, schema.items, definitions, options, value, childLocation(location, start + i));
         }
     }
 }
@@ -319,23 +457,33 @@ function applyMultipleValueInitializations(schema, definitions, options, values)
  * @returns {*}
  */
 function autoFormat(schema, options, value) {
-    if (schema && options.autoFormat) {
-        switch (getSchemaType(schema)) {
+    if (schema && options.autoFormat && !(value === null && compile(schema).nullable)) {
+        const type = getSchemaType(schema);
+        const format = schema.format && formats.get(schema.format, type);
+        if (format && format.to) return format.to(value, options);
+        switch (type) {
             case 'boolean': return to.boolean(value);
             case 'integer': return to.integer(value);
             case 'number':  return to.number(value);
-            case 'string':
-                switch (schema.format) {
-                    case 'binary':      return to.binary(value);
-                    case 'byte':        return to.byte(value);
-                    case 'date':        return to.date(value);
-                    case 'date-time':   return to.dateTime(value);
-                }
         }
     }
     return value;
 }
 
+/**
+ * Get the location of a value within the enforced value. Proxies keep their location so that
+ * their errors have the JSON pointer to the value, which is updated when array items move.
+ * @param {Object} parent The location of the object or array that holds the value.
+ * @param {string, number} key The property name or index of the value.
+ * @returns {{ key: string, parent: Object }}
+ */
+function childLocation(parent, key) {
+    return {
+        key: String(key),
+        parent: parent
+    };
+}
+
 /**
  * Get a deep proxy for a value.
  * @param {Validator} validator
@@ -343,32 +491,145 @@ function autoFormat(schema, options, value) {
  * @param {Object} definitions
  * @param {Object} options
  * @param {*} value
+ * @param {Object} location The value's position within the enforced value.
  * @returns {*}
  */
-function getProxy(validator, schema, definitions, options, value) {
+function getProxy(validator, schema, definitions, options, value, location) {
+    if (value === null) return value;
     const type = getSchemaType(schema);
     if (type === 'array') {
         if (schema.items) {
             const length = value.length;
             for (let i = 0; i < length; i++) {
-                value[i] = getProxy(validator, schema.items, definitions, options, autoFormat(schema, options, value[i]));
+                value[i] = getProxy(validator, schema.items, definitions, options, autoFormat(schema, options, value[i]), childLocation(location, i));
             }
         }
-        return arrayProxy(validator, schema, definitions, options, value);
+        return arrayProxy(validator, schema, definitions, options, value, location);
 
-    } else if (type === 'object') {
-        const specifics = schema.properties || {};
+    } else if (type === 'object' || (!type && compile(schema).composed && value && typeof value === 'object' && !Array.isArray(value))) {
         Object.keys(value)
             .forEach(key => {
-                const useSchema = specifics[key] || schema.additionalProperties || null;
-                if (useSchema) value[key] = getProxy(validator, useSchema, definitions, options, autoFormat(schema, options, value[key]));
+                const useSchema = validator.propertySchema(schema, pointer(location), value, key);
+                if (isStripped(validator, useSchema)) {
+                    delete value[key];
+                } else if (useSchema) {
+                    value[key] = getProxy(validator, useSchema, definitions, options, autoFormat(schema, options, value[key]), childLocation(location, key));
+                }
             });
-        return objectProxy(validator, schema, definitions, options, value);
+        return objectProxy(validator, schema, definitions, options, value, location);
     }
 
     return value;
 }
 
+/**
+ * Create a validator that uses the enforcer's options.
+ * @param {Enforcer} context The enforcer instance.
+ * @param {boolean} throwErrors
+ * @returns {Validator}
+ */
+function getValidator(context, throwErrors) {
+    const options = context.options;
+    return new Validator(options.enforce, context.definitions, throwErrors).configure(options);
+}
+
+/**
+ * Determine whether a property is removed from the value because it is read only.
+ * @param {Validator} validator
+ * @param {Object} schema The property's schema.
+ * @returns {boolean}
+ */
+function isStripped(validator, schema) {
+    return validator.stripReadOnly && validator.direction === 'request' && !!schema && compile(schema).readOnly;
+}
+
+/**
+ * Get the JSON pointer to a location, or to a property or index within it.
+ * @param {Object} location
+ * @param {string, number} [key]
+ * @returns {string}
+ */
+function pointer(location, key) {
+    let at = key === undefined ? '' : '/' + escape(key);
+    for (let current = location; current && current.parent; current = current.parent) at = '/' + escape(current.key) + at;
+    return at;
+}
+
+/**
+ * Update the locations of an array's items after they have moved, for example by sort. An item
+ * that is in the array more than once keeps the location of its first index.
+ * @param {Array} array
+ * @param {Object} location The array's location.
+ */
+function relocate(array, location) {
+    const seen = new Set();
+    const length = array.length;
+    for (let i = 0; i < length; i++) {
+        const item = array[i];
+        const itemLocation = item && typeof item === 'object' ? item.__swaggerResponseLocation__ : undefined;
+        if (itemLocation && !seen.has(itemLocation)) {
+            seen.add(itemLocation);
+            itemLocation.key = String(i);
+            itemLocation.parent = location;
+        }
+    }
+}
+
+/**
+ * Re-validate and re-wrap all of an object's values after a change to its discriminator selects
+ * a different subtype. Defaults for the new subtype are applied if the useDefaults option is set.
+ * @param {Validator} validator
+ * @param {Object} schema
+ * @param {Object} definitions
+ * @param {Object} options
+ * @param {Object} target The proxy target to update.
+ * @param {Object} object The object as it will be after the change.
+ * @param {Object} location The object's location.
+ */
+function reshape(validator, schema, definitions, options, target, object, location) {
+    const at = pointer(location);
+    let value = release(object);
+    if (options.useDefaults) value = applyDefaults(schema, definitions, options, value);
+    validator.validate(schema, at, value);
+
+    Object.keys(value).forEach(key => {
+        const subSchema = validator.propertySchema(schema, at, value, key);
+        target[key] = subSchema ? getProxy(validator, subSchema, definitions, options, value[key], childLocation(location, key)) : value[key];
+    });
+}
+
+/**
+ * Determine whether two lists of schemas contain the same schemas in the same order.
+ * @param {Object[]} a
+ * @param {Object[]} b
+ * @returns {boolean}
+ */
+function sameSchemas(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Run a full validation of a value, skipping values that are circular.
+ * @param {Enforcer} context The enforcer instance.
+ * @param {*} value
+ * @param {Object} [options] The validate options.
+ * @returns {Validator}
+ */
+function validate(context, value, options) {
+    if (options === undefined || options === null) options = {};
+    if (typeof options !== 'object') throw Error('Validate options must be an object.');
+    options = schemas.validate.normalize(options);
+
+    const validator = getValidator(context, false);
+    if (options.locale) validator.locale = options.locale;
+    validator.circular('', value);
+    return validator.errors.length ? validator : validator.validate(context.schema, '', value);
+}
+
 /**
  * Convert a full array-like object into a subset array-like object.
  * @param {Object} args The full array-like object.
@@ -0,0 +1,28 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const rx                = require('./rx');
+
+/**
+ * Escape a key for use as a JSON pointer segment. Keys without a '~' or '/' are returned as is.
+ * @param {string, number} key
+ * @returns {string}
+ */
+module.exports = function escape(key) {
+    const string = String(key);
+    return rx.pointer.test(string) ? string.replace(/~/g, '~0').replace(/\//g, '~1') : string;
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+/**
+ * Get a schema and its allOf schemas, recursively and in order. Each schema is included once.
+ * @param {Object} schema
+ * @returns {Object[]}
+ */
+module.exports = function flatten(schema) {
+    const results = [];
+    const stack = [ schema ];
+    while (stack.length) {
+        const item = stack.pop();
+        if (item && results.indexOf(item) === -1) {
+            results.push(item);
+            if (Array.isArray(item.allOf)) item.allOf.slice(0).reverse().forEach(child => stack.push(child));
+        }
+    }
+    return results;
+};
\ No newline at end of file
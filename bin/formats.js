@@ -0,0 +1,261 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const dateTimeErrors    = require('./date-time-errors');
+const is                = require('./is');
+const randomValues      = require('./random-values');
+const rx                = require('./rx');
+const to                = require('./convert-to');
+
+// the registered formats by name
+const registry = new Map();
+
+// the largest finite value of a 32-bit float
+const FLOAT_MAX = 3.4028234663852886e38;
+
+// the characters used for generated words
+const letters = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Register a format, replacing any format that is already registered with the same name.
+ * @param {string} name The value of the schema's "format" property.
+ * @param {Object} definition
+ * @param {string} [definition.type='string'] The schema type that the format applies to.
+ * @param {string} [definition.expected] A description of the expected value, used in error messages.
+ * @param {function} definition.is A function that returns true if a value is of the format.
+ * @param {function} [definition.to] A function that converts a value into the format. Used to auto format values. It also receives the enforcer options.
+ * @param {function} [definition.from] A function that converts a value of the format into a richer value, for example a Date.
+ * @param {function} [definition.random] A function that generates a random value of the format. It receives a function that returns a pseudo random number between 0 and 1, and the schema's minLength and maxLength, which the value should satisfy where possible.
+ * @param {function} [definition.validate] A function that checks a value that is of the format and returns an error, an array of errors, or nothing. Each error is a message key, or an object with the message key and the message's data. A key that has no message is used as the message.
+ * @param {string} [definition.code='FRMT'] The code suffix for errors produced by the validate function.
+ * @returns {Object} The normalized definition.
+ */
+exports.define = function(name, definition) {
+    if (typeof name !== 'string' || !name) throw Error('Format name must be a non-empty string.');
+    if (!definition || typeof definition !== 'object') throw Error('Format definition must be a non-null object.');
+    if (typeof definition.is !== 'function') throw Error('Format definition must have an "is" function: ' + name);
+    ['to', 'from', 'random', 'validate'].forEach(key => {
+        if (definition.hasOwnProperty(key) && typeof definition[key] !== 'function') {
+            throw Error('Format definition "' + key + '" must be a function: ' + name);
+        }
+    });
+
+    const result = Object.assign({
+        code: 'FRMT',
+        expected: 'a value of format "' + name + '"',
+        name: name,
+        type: 'string'
+    }, definition);
+    registry.set(name, result);
+    return result;
+};
+
+/**
+ * Get a registered format that applies to a schema type.
+ * @param {string} name
+ * @param {string} [type] If provided then the format must apply to this schema type.
+ * @returns {Object|undefined}
+ */
+exports.get = function(name, type) {
+    const format = registry.get(name);
+    return format && (!type || format.type === type) ? format : undefined;
+};
+
+/**
+ * Remove a registered format.
+ * @param {string} name
+ * @returns {boolean} True if the format was registered.
+ */
+exports.remove = function(name) {
+    return registry.delete(name);
+};
+
+/**
+ * Restore the built in formats and remove all others.
+ */
+exports.reset = function() {
+    registry.clear();
+
+    exports.define('binary', {
+        expected: 'a binary octet sequence',
+        from: value => {
+            const bytes = [];
+            for (let i = 0; i < value.length; i += 8) bytes.push(parseInt(value.substr(i, 8), 2));
+            return Buffer.from(bytes);
+        },
+        is: is.binary,
+        random: (next, minLength, maxLength) => to.binary(randomBytes(next, count => count * 8, minLength, maxLength)),
+        to: to.binary
+    });
+
+    exports.define('byte', {
+        expected: 'a base64 encoded string',
+        from: value => Buffer.from(value, 'base64'),
+        is: is.byte,
+        random: (next, minLength, maxLength) => to.byte(randomBytes(next, count => Math.ceil(count / 3) * 4, minLength, maxLength)),
+        to: to.byte
+    });
+
+    exports.define('date', {
+        code: 'DATE',
+        expected: 'a date formatted as YYYY-MM-DD',
+        from: value => new Date(value + 'T00:00:00.000Z'),
+        is: value => rx.date.test(value),
+        random: next => randomDate(next).toISOString().substr(0, 10),
+        to: to.date,
+        validate: value => dateTimeErrors(value + 'T00:00:00.000Z')
+    });
+
+    exports.define('date-time', {
+        code: 'DATE',
+        expected: 'an RFC 3339 date-time formatted as YYYY-MM-DDThh:mm:ss.sssZ or YYYY-MM-DDThh:mm:ss.sss+hh:mm',
+        from: value => new Date(to.dateTime(value)),
+        is: value => rx.dateTime.test(value),
+        random: next => randomDate(next).toISOString(),
+        to: to.dateTime,
+        validate: dateTimeErrors
+    });
+
+    exports.define('double', {
+        type: 'number',
+        expected: 'a finite 64-bit float',
+        is: value => isFinite(value)
+    });
+
+    exports.define('email', {
+        expected: 'an email address',
+        is: is.email,
+        random: (next, minLength, maxLength) => {
+            const words = randomWords(next, 2, '@.com'.length, minLength, maxLength);
+            return words[0] + '@' + words[1] + '.com';
+        }
+    });
+
+    exports.define('float', {
+        type: 'number',
+        expected: 'a 32-bit float between -' + FLOAT_MAX + ' and ' + FLOAT_MAX,
+        is: value => Math.abs(value) <= FLOAT_MAX
+    });
+
+    exports.define('hostname', {
+        expected: 'a hostname',
+        is: is.hostname,
+        random: (next, minLength, maxLength) => randomWords(next, 1, '.com'.length, minLength, maxLength)[0] + '.com'
+    });
+
+    exports.define('int32', {
+        type: 'integer',
+        expected: 'a 32-bit integer between -2147483648 and 2147483647',
+        is: value => value >= -2147483648 && value <= 2147483647
+    });
+
+    exports.define('int64', {
+        type: 'integer',
+        code: 'PREC',
+        expected: 'a 64-bit integer between -9223372036854775808 and 9223372036854775807',
+        from: value => BigInt(value),
+        is: isInt64,
+        to: to.integer,
+        validate: value => typeof value === 'number' && !Number.isSafeInteger(value) ? 'ESEPREC' : undefined
+    });
+
+    exports.define('ipv4', {
+        expected: 'an IPv4 address',
+        is: is.ipv4,
+        random: next => [0, 1, 2, 3].map(() => randomValues.integer(next, 0, 255)).join('.')
+    });
+
+    exports.define('ipv6', {
+        expected: 'an IPv6 address',
+        is: is.ipv6,
+        random: next => [0, 1, 2, 3, 4, 5, 6, 7].map(() => randomValues.integer(next, 0, 65535).toString(16)).join(':')
+    });
+
+    exports.define('password', {
+        expected: 'a password string',
+        is: is.password,
+        random: (next, minLength, maxLength) => {
+            const length = Math.min(Math.max(randomValues.integer(next, 8, 16), minLength || 0), maxLength === undefined ? Infinity : maxLength);
+            return randomValues.string(next, 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', length);
+        }
+    });
+
+    exports.define('uri', {
+        expected: 'a URI',
+        is: is.uri,
+        random: (next, minLength, maxLength) => {
+            const words = randomWords(next, 2, 'https://.com/'.length, minLength, maxLength);
+            return 'https://' + words[0] + '.com/' + words[1];
+        }
+    });
+
+    exports.define('uuid', {
+        expected: 'a UUID',
+        is: is.uuid,
+        random: next => {
+            const hex = randomValues.string(next, '0123456789abcdef', 32);
+            const variant = '89ab'.charAt(randomValues.integer(next, 0, 3));
+            return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-4' + hex.substr(13, 3) + '-' + variant + hex.substr(17, 3) + '-' + hex.substr(20, 12);
+        }
+    });
+};
+
+exports.reset();
+
+function isInt64(value) {
+    if (typeof value === 'number') return value >= -9223372036854775808 && value < 9223372036854775808;
+    const integer = BigInt(value);
+    return integer >= BigInt('-9223372036854775808') && integer <= BigInt('9223372036854775807');
+}
+
+// random bytes whose encoded length is within the minimum and maximum lengths where possible
+function randomBytes(next, encodedLength, minLength, maxLength) {
+    const bytes = [];
+    const max = maxLength === undefined ? Infinity : maxLength;
+    let length = randomValues.integer(next, 1, 8);
+    while (length > 0 && encodedLength(length) > max) length--;
+    while (encodedLength(length) < (minLength || 0) && encodedLength(length + 1) <= max) length++;
+    for (let i = 0; i < length; i++) bytes.push(randomValues.integer(next, 0, 255));
+    return Buffer.from(bytes);
+}
+
+// a random date between 1970 and 2037
+function randomDate(next) {
+    return new Date(Math.floor(next() * 2145916800) * 1000);
+}
+
+// random words whose total length plus the other characters is within the minimum and maximum lengths where possible
+function randomWords(next, count, others, minLength, maxLength) {
+    const lengths = [];
+    for (let i = 0; i < count; i++) lengths.push(randomValues.integer(next, 3, 10));
+
+    const min = (minLength || 0) - others;
+    const max = (maxLength === undefined ? Infinity : maxLength) - others;
+    let total = lengths.reduce((total, length) => total + length, 0);
+    for (let i = 0; total > max && total > count; i = (i + 1) % count) {
+        if (lengths[i] > 1) {
+            lengths[i]--;
+            total--;
+        }
+    }
+    for (let i = 0; total < min && total < max; i = (i + 1) % count) {
+        lengths[i]++;
+        total++;
+    }
+
+    return lengths.map(length => randomValues.string(next, letters, length));
+}
\ No newline at end of file
@@ -15,7 +15,9 @@
  *    limitations under the License.
  **/
 'use strict';
-const rx        = require('./rx');
+const dateTimeErrors    = require('./date-time-errors');
+const net               = require('net');
+const rx                = require('./rx');
 
 exports.byte = v => rx.byte.test(v) && v.length % 4 === 0;
 
@@ -23,10 +25,28 @@ exports.binary = v => rx.binary.test(v);
 
 exports.boolean = v => rx.boolean.test(v);
 
-exports.date = v => rx.date.test(v);
+exports.date = v => rx.date.test(v) && !dateTimeErrors(v + 'T00:00:00.000Z').length;
 
-exports.dateTime = v => rx.dateTime.test(v);
+exports.dateTime = v => rx.dateTime.test(v) && !dateTimeErrors(v).length;
+
+exports.email = v => {
+    const match = rx.email.exec(v);
+    return !!match && v.length <= 254 && match[0].indexOf('@') <= 64 && exports.hostname(match[1]);
+};
+
+exports.hostname = v => rx.hostname.test(v);
 
 exports.integer = v => rx.integer.test(v);
 
-exports.number = v => rx.number.test(v);
\ No newline at end of file
+exports.ipv4 = v => rx.ipv4.test(v);
+
+// the compressed forms of IPv6 are impractical to match with a single regular expression
+exports.ipv6 = v => typeof v === 'string' && net.isIPv6(v);
+
+exports.number = v => rx.number.test(v);
+
+exports.password = v => typeof v === 'string';
+
+exports.uri = v => rx.uri.test(v);
+
+exports.uuid = v => rx.uuid.test(v);
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const discriminator = require('./discriminator');
+const escape        = require('./escape');
+const random        = require('./random');
+const smart         = require('./smart-value');
+const Validator     = require('./validator');
+
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const types = ['array', 'boolean', 'file', 'integer', 'number', 'object', 'string'];
+
+// validation for each keyword allowed in a swagger 2.0 schema object
+const keywords = {
+    $ref: isString,
+    additionalProperties: function(value, validator, at, schema, lintSchema) {
+        if (typeof value === 'boolean') return true;
+        if (!isObject(value)) return false;
+        lintSchema(at, value);
+        return true;
+    },
+    allOf: isSchemaArray,
+    anyOf: isSchemaArray,
+    default: () => true,
+    description: isString,
+    discriminator: function(value, validator, at, schema) {
+        if (isObject(value)) {
+            if (!isString(value.propertyName)) return false;
+            if (value.hasOwnProperty('mapping')) lintMapping(value.mapping, validator, at + '/mapping');
+        } else if (!isString(value)) {
+            return false;
+        }
+
+        const property = discriminator.property(schema);
+        if (!schema.properties || !schema.properties.hasOwnProperty(property)) {
+            validator.error(at, 'Discriminator property is not defined in the schema properties: ' + property, 'SCHM');
+        } else if (!Array.isArray(schema.required) || schema.required.indexOf(property) === -1) {
+            validator.error(at, 'Discriminator property is not listed as required: ' + property, 'SCHM');
+        }
+        return true;
+    },
+    enum: value => Array.isArray(value) && value.length > 0,
+    example: () => true,
+    exclusiveMaximum: isBoolean,
+    exclusiveMinimum: isBoolean,
+    externalDocs: isObject,
+    format: isString,
+    items: function(value, validator, at, schema, lintSchema) {
+        if (!isObject(value)) return false;
+        lintSchema(at, value);
+        return true;
+    },
+    maximum: isNumber,
+    maxItems: isNonNegativeInteger,
+    maxLength: isNonNegativeInteger,
+    maxProperties: isNonNegativeInteger,
+    minimum: isNumber,
+    minItems: isNonNegativeInteger,
+    minLength: isNonNegativeInteger,
+    minProperties: isNonNegativeInteger,
+    multipleOf: value => isNumber(value) && value > 0,
+    nullable: isBoolean,
+    not: function(value, validator, at, schema, lintSchema) {
+        if (!isObject(value)) return false;
+        lintSchema(at, value);
+        return true;
+    },
+    oneOf: isSchemaArray,
+    pattern: function(value, validator, at) {
+        if (!isString(value)) return false;
+        try {
+            new RegExp(value);
+        } catch (e) {
+            validator.error(at, 'Pattern is not a valid regular expression: ' + smart(value), 'SCHM');
+        }
+        return true;
+    },
+    properties: function(value, validator, at, schema, lintSchema) {
+        if (!isObject(value)) return false;
+        Object.keys(value).forEach(key => {
+            const property = at + '/' + escape(key);
+            if (isObject(value[key])) {
+                lintSchema(property, value[key]);
+            } else {
+                validator.error(property, 'Property schema must be a non-null object. Received: ' + smart(value[key]), 'SCHM');
+            }
+        });
+        return true;
+    },
+    readOnly: isBoolean,
+    required: function(value, validator, at) {
+        if (!Array.isArray(value) || !value.length) return false;
+        value.forEach((item, index) => {
+            if (!isString(item)) {
+                validator.error(at + '/' + index, 'Required property name must be a string. Received: ' + smart(item), 'SCHM');
+            } else if (value.indexOf(item) !== index) {
+                validator.error(at + '/' + index, 'Required property name is duplicated: ' + item, 'SCHM');
+            }
+        });
+        return true;
+    },
+    title: isString,
+    type: value => types.indexOf(value) !== -1,
+    uniqueItems: isBoolean,
+    writeOnly: isBoolean,
+    xml: isObject,
+    'x-discriminator-mapping': function(value, validator, at) {
+        if (!isObject(value)) return false;
+        lintMapping(value, validator, at);
+        return true;
+    },
+    'x-nullable': isBoolean,
+    'x-writeOnly': isBoolean
+};
+
+// the requirement that each keyword's value must meet, used for error messages
+const requirements = {
+    $ref: 'a string',
+    additionalProperties: 'a boolean or a schema object',
+    allOf: 'a non-empty array of schema objects',
+    anyOf: 'a non-empty array of schema objects',
+    description: 'a string',
+    discriminator: 'a string or an object with a string propertyName',
+    enum: 'a non-empty array',
+    exclusiveMaximum: 'a boolean',
+    exclusiveMinimum: 'a boolean',
+    externalDocs: 'a non-null object',
+    format: 'a string',
+    items: 'a schema object',
+    maximum: 'a number',
+    maxItems: 'a non-negative integer',
+    maxLength: 'a non-negative integer',
+    maxProperties: 'a non-negative integer',
+    minimum: 'a number',
+    minItems: 'a non-negative integer',
+    minLength: 'a non-negative integer',
+    minProperties: 'a non-negative integer',
+    multipleOf: 'a number greater than zero',
+    nullable: 'a boolean',
+    not: 'a schema object',
+    oneOf: 'a non-empty array of schema objects',
+    pattern: 'a string',
+    properties: 'a non-null object',
+    readOnly: 'a boolean',
+    required: 'a non-empty array of strings',
+    title: 'a string',
+    type: 'one of: ' + types.join(', '),
+    uniqueItems: 'a boolean',
+    writeOnly: 'a boolean',
+    xml: 'a non-null object',
+    'x-discriminator-mapping': 'a non-null object',
+    'x-nullable': 'a boolean',
+    'x-writeOnly': 'a boolean'
+};
+
+// keywords whose values must not be less than another keyword's value
+const ranges = [
+    ['minimum', 'maximum'],
+    ['minItems', 'maxItems'],
+    ['minLength', 'maxLength'],
+    ['minProperties', 'maxProperties']
+];
+
+module.exports = lint;
+
+/**
+ * Check that a schema and its definitions follow the swagger 2.0 schema object rules.
+ * @param {Object} schema
+ * @param {Object} [definitions={}]
+ * @param {boolean} [throwErrors=false] Set to true to throw an error if the schema has errors.
+ * @returns {Error[]} An array of errors, each with an "at" property that holds the JSON pointer to the offending keyword.
+ */
+function lint(schema, definitions, throwErrors) {
+    const context = new Context(throwErrors);
+
+    if (definitions && typeof definitions === 'object') {
+        Object.keys(definitions).forEach(name => context.schema('/definitions/' + escape(name), definitions[name]));
+    }
+    context.schema('', schema);
+
+    return context.finish();
+}
+
+/**
+ * Check that all schemas within a swagger 2.0 document follow the schema object rules.
+ * @param {Object} swagger
+ * @param {boolean} [throwErrors=false] Set to true to throw an error if the document has errors.
+ * @returns {Error[]} An array of errors, each with an "at" property that holds the JSON pointer to the offending keyword.
+ */
+lint.document = function(swagger, throwErrors) {
+    const context = new Context(throwErrors);
+    const definitions = swagger.definitions || {};
+    const paths = swagger.paths || {};
+
+    Object.keys(definitions).forEach(name => context.schema('/definitions/' + escape(name), definitions[name]));
+
+    Object.keys(paths).forEach(path => {
+        const at = '/paths/' + escape(path);
+        const pathItem = paths[path];
+        context.parameters(at + '/parameters', pathItem.parameters);
+        methods.forEach(method => {
+            const operation = pathItem[method];
+            if (operation) {
+                const responses = operation.responses || {};
+                context.parameters(at + '/' + method + '/parameters', operation.parameters);
+                Object.keys(responses).forEach(code => {
+                    if (responses[code] && responses[code].schema) {
+                        context.schema(at + '/' + method + '/responses/' + code + '/schema', responses[code].schema);
+                    }
+                });
+            }
+        });
+    });
+
+    return context.finish();
+};
+
+function Context(throwErrors) {
+    this.validator = new Validator({}, {}, false);
+    this.throwErrors = throwErrors;
+    this.visited = new Set();
+}
+
+Context.prototype.finish = function() {
+    if (this.throwErrors) this.validator.throw();
+    return this.validator.errors;
+};
+
+Context.prototype.parameters = function(at, parameters) {
+    if (Array.isArray(parameters)) {
+        parameters.forEach((parameter, index) => {
+            if (parameter && parameter.schema) this.schema(at + '/' + index + '/schema', parameter.schema);
+        });
+    }
+};
+
+Context.prototype.schema = function(at, schema) {
+    const validator = this.validator;
+    const visited = this.visited;
+    const lintSchema = (at, schema) => this.schema(at, schema);
+
+    if (!isObject(schema)) {
+        validator.error(at, 'Schema must be a non-null object. Received: ' + smart(schema), 'SCHM');
+        return;
+    }
+
+    // shared and circular schemas only need to be checked once
+    if (visited.has(schema)) return;
+    visited.add(schema);
+
+    // a reference ignores all other keywords
+    if (schema.hasOwnProperty('$ref')) {
+        if (!isString(schema.$ref)) validator.error(at + '/$ref', 'Invalid $ref. Expected ' + requirements.$ref + '. Received: ' + smart(schema.$ref), 'SCHM');
+        return;
+    }
+
+    Object.keys(schema).forEach(keyword => {
+        const keywordAt = at + '/' + escape(keyword);
+        const value = schema[keyword];
+        if (keywords.hasOwnProperty(keyword)) {
+            if (!keywords[keyword](value, validator, keywordAt, schema, lintSchema)) {
+                validator.error(keywordAt, 'Invalid ' + keyword + '. Expected ' + requirements[keyword] + '. Received: ' + smart(value), 'SCHM');
+            }
+        } else if (!/^x-/.test(keyword)) {
+            validator.error(keywordAt, 'Unknown schema keyword: ' + keyword, 'SCHM');
+        }
+    });
+
+    ranges.forEach(range => {
+        const min = range[0];
+        const max = range[1];
+        if (isNumber(schema[min]) && isNumber(schema[max]) && schema[min] > schema[max]) {
+            validator.error(at + '/' + min, 'Invalid ' + min + '. Must not be greater than ' + max + ' ' + schema[max], 'SCHM');
+        }
+    });
+
+    // an anchored pattern only matches strings of the lengths that it generates
+    if (isString(schema.pattern) && (isNumber(schema.minLength) || isNumber(schema.maxLength))) {
+        let length;
+        try {
+            length = random.patternLength(schema.pattern);
+        } catch (e) {
+            length = undefined;
+        }
+        if (length && length.anchored && schema.minLength > length.max) {
+            validator.error(at + '/minLength', 'Invalid minLength. Pattern ' + smart(schema.pattern) + ' only matches strings with at most ' + length.max + ' characters', 'SCHM');
+        }
+        if (length && length.anchored && schema.maxLength < length.min) {
+            validator.error(at + '/maxLength', 'Invalid maxLength. Pattern ' + smart(schema.pattern) + ' only matches strings with at least ' + length.min + ' characters', 'SCHM');
+        }
+    }
+};
+
+function isBoolean(value) {
+    return typeof value === 'boolean';
+}
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isSchemaArray(value, validator, at, schema, lintSchema) {
+    if (!Array.isArray(value) || !value.length) return false;
+    value.forEach((item, index) => lintSchema(at + '/' + index, item));
+    return true;
+}
+
+function isString(value) {
+    return typeof value === 'string';
+}
+
+function lintMapping(mapping, validator, at) {
+    if (!isObject(mapping)) {
+        validator.error(at, 'Discriminator mapping must be a non-null object. Received: ' + smart(mapping), 'SCHM');
+    } else {
+        Object.keys(mapping).forEach(key => {
+            if (!isString(mapping[key])) {
+                validator.error(at + '/' + escape(key), 'Discriminator mapping value must be a string. Received: ' + smart(mapping[key]), 'SCHM');
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+// the registered message catalogs by locale
+const registry = new Map();
+
+// the locale that is used for messages that a locale does not define
+const DEFAULT_LOCALE = 'en';
+
+// the schema extension that overrides a schema's messages
+const EXTENSION = 'x-error-messages';
+
+/**
+ * Register the messages for a locale. The messages are added to those already registered for the
+ * locale, replacing any with the same key. Each key is an error code, such as "ESENMAX", or an
+ * error code and a variant separated by a colon, such as "ESENMAX:exclusive". Each message may
+ * contain placeholders, such as "{limit}", that are replaced by the error's values.
+ * @param {string} locale The locale, for example "en" or "es-MX".
+ * @param {Object} catalog The messages by key.
+ * @returns {Object} All messages registered for the locale.
+ */
+exports.define = function(locale, catalog) {
+    if (typeof locale !== 'string' || !locale) throw Error('Messages locale must be a non-empty string.');
+    if (!catalog || typeof catalog !== 'object') throw Error('Messages catalog must be a non-null object.');
+    Object.keys(catalog).forEach(key => {
+        if (typeof catalog[key] !== 'string') throw Error('Message must be a string: ' + key);
+    });
+
+    const result = Object.assign({}, registry.get(locale), catalog);
+    registry.set(locale, result);
+    return result;
+};
+
+/**
+ * Produce the message for an error. The message is the first found of the schema's x-error-messages
+ * for the key or the error code, then the locale's message for the key, then the message of the
+ * locale's language, for example "es" for "es-MX", and then the message of the default locale.
+ * @param {string} key The message key, for example "ESENMAX:exclusive".
+ * @param {Object} [data={}] The values for the message's placeholders.
+ * @param {string} [locale='en']
+ * @param {Object} [schema] The schema that failed validation.
+ * @returns {string}
+ */
+exports.format = function(key, data, locale, schema) {
+    const template = schemaMessage(schema, key, locale) || localeMessage(key, locale || DEFAULT_LOCALE) || key;
+    return interpolate(template, data || {});
+};
+
+/**
+ * Get the messages registered for a locale.
+ * @param {string} locale
+ * @returns {Object|undefined}
+ */
+exports.get = function(locale) {
+    return registry.get(locale);
+};
+
+/**
+ * Remove the messages registered for a locale. The messages of the default locale are restored by reset.
+ * @param {string} locale
+ * @returns {boolean} True if the locale was registered.
+ */
+exports.remove = function(locale) {
+    return registry.delete(locale);
+};
+
+/**
+ * Restore the built in English messages and remove all other locales.
+ */
+exports.reset = function() {
+    registry.clear();
+    exports.define(DEFAULT_LOCALE, {
+        ESEANYOF: 'Value does not match any of the anyOf schemas:{branches}',
+        ESECIRC: 'Value has a circular reference and cannot be serialized to JSON string',
+        'ESEDATE:calendar': 'Date does not exist on the calendar.',
+        'ESEDATE:hour': 'Date-time hour outside of expected range. Must be between 00 and 23. Received: {received}',
+        'ESEDATE:leapSecond': 'Date-time leap second must occur at 23:59:60 UTC. Received: {value}',
+        'ESEDATE:minute': 'Date-time minute outside of expected range. Must be between 00 and 59. Received: {received}',
+        'ESEDATE:offsetHour': 'Date-time offset hour outside of expected range. Must be between 00 and 23. Received: {received}',
+        'ESEDATE:offsetMinute': 'Date-time offset minute outside of expected range. Must be between 00 and 59. Received: {received}',
+        'ESEDATE:second': 'Date-time second outside of expected range. Must be between 00 and 60. Received: {received}',
+        ESEDSER: 'Unable to deserialize value: Expected {expected}. Received: {received}',
+        ESEEMPT: 'Empty value not allowed for parameter: {name}',
+        ESEENCD: 'Path parameter {name} is not a valid URI component: {value}',
+        ESEENUM: 'Value {value} does not match any enum options.',
+        ESEFRMT: 'Invalid type: Expected {expected}. Received: {received}',
+        'ESEHTNC:definition': 'Could not find definition "{name}" for discriminator: {property}',
+        'ESEHTNC:extends': 'Definition "{name}" does not extend the discriminator schema for: {property}',
+        'ESEHTNC:missing': 'Missing required discriminator property: {property}',
+        'ESEHTNC:subtype': 'Definition "{name}" for discriminator {property} is not compatible with the schema being validated',
+        'ESELEN:maxItems': 'Array length is greater than allowable maximum length',
+        'ESELEN:maxProperties': 'The object has more properties than the allowed maximum: {limit}',
+        'ESELEN:minItems': 'Array length is less than allowable minimum length',
+        'ESELEN:minProperties': 'The object has fewer properties than the allowed minimum: {limit}',
+        ESEMLTI: 'Validation failed due to one or more errors:{errors}',
+        ESENMAX: 'Value {value} over maximum {limit}',
+        'ESENMAX:exclusive': 'Value {value} over exclusive maximum {limit}',
+        ESENMIN: 'Value {value} under minimum {limit}',
+        'ESENMIN:exclusive': 'Value {value} under exclusive minimum {limit}',
+        ESENMULT: 'Value {value} not a multiple of {multipleOf}',
+        ESENOT: 'Value must not match the schema defined by "not"',
+        ESENPER: 'Property not allowed: {additionalProperty}',
+        ESEONEOF: 'Value does not match any of the oneOf schemas:{branches}',
+        'ESEONEOF:multiple': 'Value matches more than one of the oneOf schemas: {matches}',
+        ESEPREC: 'Integer is outside of the safe integer range and may have lost precision. Use the int64 option to represent it as a bigint or a string. Received: {value}',
+        ESEREAD: 'Property is read only: {property}',
+        ESEREQ: 'Missing required property: {missingProperty}',
+        'ESEREQ:body': 'Missing required body',
+        'ESEREQ:parameter': 'Missing required parameter: {name}',
+        ESESER: 'Unable to serialize value: Expected a value that converts to {expected}. Received: {received}',
+        'ESESER:int64': 'Unable to serialize value: Integer is outside of the safe integer range. Use the int64 option "string" to serialize it. Received: {received}',
+        ESESMAX: 'Value {value} has length ({length}) above max length {limit}',
+        ESESMIN: 'Value {value} has length ({length}) below min length {limit}',
+        ESESPAT: 'Value {value} does not match pattern {pattern}',
+        ESETYPE: 'Invalid type: Expected {expected}. Received: {received}',
+        'ESETYPE:serializable': 'Invalid type. Value type cannot be serialized to JSON string: {type}',
+        ESEUNIQ: 'Array requires that all items be unique. Value is a duplicate: {value}',
+        ESEWRIT: 'Property is write only: {property}'
+    });
+};
+
+exports.reset();
+
+// replace each {name} placeholder that has a value
+function interpolate(template, data) {
+    return template.replace(/{(\w+)}/g, (match, name) => data.hasOwnProperty(name) && data[name] !== undefined ? String(data[name]) : match);
+}
+
+// get a locale's message, falling back to the locale's language and then to the default locale
+function localeMessage(key, locale) {
+    const code = key.split(':')[0];
+    const locales = [ locale, locale.split('-')[0], DEFAULT_LOCALE ];
+    const length = locales.length;
+    for (let i = 0; i < length; i++) {
+        const catalog = registry.get(locales[i]);
+        if (catalog && catalog.hasOwnProperty(key)) return catalog[key];
+        if (catalog && catalog.hasOwnProperty(code)) return catalog[code];
+    }
+}
+
+// get a schema's x-error-messages message for the key or its error code, which may be a message by locale
+function schemaMessage(schema, key, locale) {
+    const overrides = schema && schema[EXTENSION];
+    if (!overrides || typeof overrides !== 'object') return;
+
+    const code = key.split(':')[0];
+    const message = overrides.hasOwnProperty(key) ? overrides[key] : overrides[code];
+    if (typeof message === 'string') return message;
+    if (message && typeof message === 'object') {
+        locale = locale || DEFAULT_LOCALE;
+        return [ locale, locale.split('-')[0], DEFAULT_LOCALE ]
+            .map(name => message[name])
+            .find(value => typeof value === 'string');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Document          = require('./document');
+const querystring       = require('querystring');
+const release           = require('./release');
+const schemas           = require('./schemas');
+
+module.exports = middleware;
+
+// the error codes of properties that are removed by the "strip" behavior
+const strippable = ['ESENPER', 'ESEREAD', 'ESEWRIT'];
+
+/**
+ * Create connect style middleware that validates each request against the operation that a
+ * swagger document defines for it, and that validates the bodies sent with res.json and res.send
+ * against the operation's response schema for the status code. Requests for paths and methods
+ * that the document does not define are passed through without validation. The response also
+ * gets an enforce(status) function that builds an enforced body to send with res.send().
+ * @param {Object, Document} swagger A swagger 2.0 document or a document instance.
+ * @param {Object} [options={}]
+ * @param {Object} [options.enforcer] The enforcer options, used if swagger is not a document instance.
+ * @param {function} [options.logger] Receives the validation errors. Defaults to console.error.
+ * @param {string} [options.request='reject'] What to do with an invalid request: "reject", "log", or "strip".
+ * @param {string} [options.response='reject'] What to do with an invalid response: "reject", "log", or "strip".
+ * @returns {function}
+ */
+function middleware(swagger, options) {
+
+    // validate options
+    if (arguments.length < 2) options = {};
+    if (!options || typeof options !== 'object') throw Error('Middleware options must be a non-null object.');
+    options = schemas.middleware.normalize(options);
+    if (!options.logger) options.logger = console.error;
+
+    const doc = swagger instanceof Document ? swagger : Document(swagger, options.enforcer);
+
+    return function(req, res, next) {
+        readBody(req, () => {
+            let result;
+            try {
+                result = validateRequest(doc, options, req);
+            } catch (err) {
+                if (err.code === 'ESEPATH' || err.code === 'ESEMTHD') return next();
+                return next(err);
+            }
+
+            if (result.errors) {
+                const err = validationError('Request', req.method, result.path, result.errors);
+                if (options.request !== 'log') return middleware.respond(res, 400, { message: err.message, errors: errorMessages(result.errors) });
+                options.logger(err);
+            }
+
+            req.swagger = {
+                params: result.params,
+                path: result.path
+            };
+            wrapResponse(doc, options, req, res, result);
+            next();
+        });
+    };
+}
+
+/**
+ * Send a JSON body without response validation.
+ * @param {Object} res
+ * @param {number} status
+ * @param {*} body
+ */
+middleware.respond = function(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+};
+
+// delete the value at a JSON pointer
+function deletePointer(value, pointer) {
+    const keys = pointer.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    const length = keys.length;
+    for (let i = 0; i < length; i++) {
+        if (!value || typeof value !== 'object') return;
+        value = value[keys[i]];
+    }
+    if (value && typeof value === 'object') delete value[last];
+}
+
+function errorMessages(errors) {
+    const result = {};
+    Object.keys(errors).forEach(location => result[location] = errors[location].map(err => err.message));
+    return result;
+}
+
+function isBodyObject(body) {
+    return body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body);
+}
+
+// read and parse the body if no other middleware has
+function readBody(req, callback) {
+    if (req.body !== undefined || typeof req.on !== 'function' || (!req.headers['content-length'] && !req.headers['transfer-encoding'])) {
+        return callback();
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const type = String(req.headers['content-type'] || '');
+        const text = Buffer.concat(chunks).toString();
+        if (/json/i.test(type)) {
+            try {
+                req.body = JSON.parse(text);
+            } catch (err) {
+                req.body = text;
+            }
+        } else if (/application\/x-www-form-urlencoded/i.test(type)) {
+            req.body = querystring.parse(text);
+        } else {
+            req.body = text;
+        }
+        callback();
+    });
+}
+
+// remove the properties that are not allowed from a value, returning true if any were removed
+function strip(value, errors) {
+    const stripped = errors.filter(err => strippable.indexOf(err.code) !== -1);
+    stripped
+        .map(err => err.at)
+        .sort((a, b) => b.length - a.length)
+        .forEach(pointer => deletePointer(value, pointer));
+    return stripped.length > 0;
+}
+
+function validateRequest(doc, options, req) {
+    const request = {
+        body: req.body,
+        headers: req.headers,
+        method: req.method,
+        path: req.originalUrl || req.url,
+        query: req.query
+    };
+    const result = doc.request(request);
+    if (options.request === 'strip' && result.errors && result.errors.body && strip(req.body, result.errors.body)) {
+        return doc.request(request);
+    }
+    return result;
+}
+
+function validateResponse(doc, options, req, path, status, body) {
+    const method = req.method.toLowerCase();
+    const responses = doc.document.paths[path][method].responses || {};
+    const response = responses[status] || responses.default;
+
+    if (!response) {
+        const err = Error('Response status code is not defined: ' + status);
+        err.code = 'ESESTAT';
+        return [ err ];
+    }
+    if (!response.schema) return [];
+
+    // a response body is sent complete, so it must meet the rules that are relaxed while building a value
+    const enforcer = doc.response(path, method, status, true);
+    const errors = enforcer.errors(body);
+    return options.response === 'strip' && strip(body, errors) ? enforcer.errors(body) : errors;
+}
+
+function validationError(type, method, path, errors) {
+    const messages = Array.isArray(errors)
+        ? errors.join('\n\t')
+        : Object.keys(errors).map(location => location + ':\n\t\t' + errors[location].join('\n\t\t')).join('\n\t');
+    const err = Error(type + ' failed validation for ' + method.toUpperCase() + ' ' + path + ':\n\t' + messages);
+    err.code = type === 'Request' ? 'ESEREQT' : 'ESERESP';
+    err.errors = errors;
+    return err;
+}
+
+// validate the bodies that are sent using res.json and res.send, adding them for a plain http server
+function wrapResponse(doc, options, req, res, result) {
+    const path = result.path;
+    let built;
+    let validated = false;
+    const json = res.json || function(body) {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(body));
+        return res;
+    };
+    const send = res.send || function(body) {
+        if (isBodyObject(body)) return res.json(body);
+        res.end(body);
+        return res;
+    };
+
+    function check(body) {
+        if (validated) return true;
+        validated = true;
+
+        const errors = validateResponse(doc, options, req, path, res.statusCode, body);
+        if (errors.length) {
+            const err = validationError('Response', req.method, path, errors);
+            err.status = res.statusCode;
+            options.logger(err);
+            if (options.response !== 'log') {
+                middleware.respond(res, 500, { message: 'Internal server error' });
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // the built body is sent if no body is provided
+    function sendArguments(args) {
+        return args.length || built === undefined ? args : [ release(built) ];
+    }
+
+    res.enforce = function(status) {
+        if (arguments.length) res.statusCode = status;
+        built = doc.buildResponse(path, req.method, res.statusCode, Object.assign({}, result.params.query, result.params.path));
+        return built;
+    };
+
+    res.json = function() {
+        const args = sendArguments(arguments);
+        return check(args[0]) ? json.apply(res, args) : res;
+    };
+
+    res.send = function() {
+        const args = sendArguments(arguments);
+        return !isBodyObject(args[0]) || check(args[0]) ? send.apply(res, args) : res;
+    };
+}
\ No newline at end of file
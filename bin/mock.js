@@ -0,0 +1,202 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Document          = require('./document');
+const middleware        = require('./middleware');
+const querystring       = require('querystring');
+const schemas           = require('./schemas');
+
+module.exports = mock;
+
+// the header and query parameter that choose the response status code and the latency
+const STATUS = 'x-mock-status';
+const LATENCY = 'x-mock-latency';
+
+/**
+ * Create an HTTP request handler that mocks the API that a swagger document describes. Requests
+ * are validated with the enforcer middleware and answered with the example or random response of
+ * the operation's first success status code. The x-mock-status header or query parameter chooses
+ * a different status code and the x-mock-latency header or query parameter delays the response.
+ * If stateful, objects created with POST are stored in an in-memory collection for their path and
+ * later read, replaced, updated, and deleted through the paths that end with a path parameter.
+ * @param {Object, Document} swagger A swagger 2.0 document or a document instance.
+ * @param {Object} [options={}]
+ * @param {Object} [options.enforcer] The enforcer options, used if swagger is not a document instance.
+ * @param {boolean} [options.examples=true] Respond with examples, or with random values if false.
+ * @param {number} [options.latency=0] The number of milliseconds to delay each response.
+ * @param {function} [options.logger] Receives the validation errors. Defaults to console.error.
+ * @param {number, string} [options.seed] The seed for generated values.
+ * @param {boolean} [options.stateful=true] Whether to store objects in in-memory collections.
+ * @returns {function}
+ */
+function mock(swagger, options) {
+
+    // validate options
+    if (arguments.length < 2) options = {};
+    if (!options || typeof options !== 'object') throw Error('Mock options must be a non-null object.');
+    options = schemas.mock.normalize(options);
+    if (!options.logger) options.logger = console.error;
+
+    const doc = swagger instanceof Document ? swagger : Document(swagger, options.enforcer);
+    const validate = middleware(doc, { logger: options.logger, response: 'log' });
+    const collections = new Map();
+
+    return function(req, res) {
+        validate(req, res, err => {
+            if (err) return middleware.respond(res, 500, { message: err.message });
+            if (!req.swagger) return middleware.respond(res, 404, { message: 'Not found: ' + req.method + ' ' + req.url });
+
+            const latency = control(req, LATENCY);
+            setTimeout(() => {
+                try {
+                    respond(doc, options, collections, req, res);
+                } catch (err) {
+                    options.logger(err);
+                    middleware.respond(res, 500, { message: err.message });
+                }
+            }, latency !== undefined ? +latency || 0 : options.latency);
+        });
+    };
+}
+
+// find the collection that a path template is for, and the path parameter that identifies an item
+function collectionRoute(path) {
+    const match = /^(.*)\/{([^}]+)}$/.exec(path);
+    return match
+        ? { collection: match[1] || '/', key: match[2] }
+        : { collection: path, key: undefined };
+}
+
+// get the value of a control from the request headers or query
+function control(req, name) {
+    if (req.headers[name] !== undefined) return req.headers[name];
+    const query = req.query || querystring.parse(String(req.url).split('?').slice(1).join('?'));
+    return query[name];
+}
+
+// answer from an in-memory collection, or return undefined if the collection has no state for the request
+function fromCollection(doc, options, collections, req, status) {
+    const path = req.swagger.path;
+    const method = req.method.toLowerCase();
+    const route = collectionRoute(path);
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : undefined;
+
+    if (!route.key) {
+        if (method === 'post' && body) {
+            const collection = getCollection(collections, path, itemKey(doc, path));
+            const item = Object.assign({}, responseValue(doc, options, path, method, status), body);
+            if (!body.hasOwnProperty(collection.key)) {
+                item[collection.key] = typeof item[collection.key] === 'string' ? String(collection.next++) : collection.next++;
+            }
+            collection.items.set(String(item[collection.key]), item);
+            return { status: status, value: item };
+        }
+        if (method === 'get' && collections.has(path)) {
+            return { status: status, value: Array.from(collections.get(path).items.values()) };
+        }
+        return;
+    }
+
+    const id = String(req.swagger.params.path[route.key]);
+    if (method === 'put' && body) {
+        const collection = getCollection(collections, route.collection, route.key);
+        const item = Object.assign({}, body);
+        item[collection.key] = req.swagger.params.path[route.key];
+        collection.items.set(id, item);
+        return { status: status, value: item };
+    }
+
+    if (!collections.has(route.collection)) return;
+    const items = collections.get(route.collection).items;
+    if (!items.has(id)) return { status: 404, value: { message: 'Not found: ' + req.method + ' ' + req.url }, unvalidated: true };
+
+    switch (method) {
+        case 'delete':
+            items.delete(id);
+            return { status: status, value: undefined };
+        case 'get':
+            return { status: status, value: items.get(id) };
+        case 'patch':
+            if (body) Object.assign(items.get(id), body);
+            return { status: status, value: items.get(id) };
+    }
+}
+
+function getCollection(collections, path, key) {
+    if (!collections.has(path)) {
+        collections.set(path, {
+            items: new Map(),
+            key: key,
+            next: 1
+        });
+    }
+    return collections.get(path);
+}
+
+// get the status code to respond with, or undefined if the chosen status code is not defined
+function getStatus(req, responses) {
+    const requested = control(req, STATUS);
+    if (requested !== undefined) return (responses[requested] || responses.default) ? +requested : undefined;
+
+    const codes = Object.keys(responses).filter(code => /^\d+$/.test(code)).sort();
+    return codes.find(code => /^2/.test(code)) || codes[0] || (responses.default ? 200 : undefined);
+}
+
+// the path parameter that identifies an item of a collection, defaulting to "id"
+function itemKey(doc, path) {
+    const item = Object.keys(doc.document.paths)
+        .map(collectionRoute)
+        .find(route => route.key && route.collection === path);
+    return item ? item.key : 'id';
+}
+
+function respond(doc, options, collections, req, res) {
+    const path = req.swagger.path;
+    const method = req.method.toLowerCase();
+    const responses = doc.document.paths[path][method].responses || {};
+    const status = getStatus(req, responses);
+
+    if (status === undefined) return middleware.respond(res, 400, { message: 'Response status code is not defined: ' + (control(req, STATUS) || 'none') });
+
+    const result = options.stateful && control(req, STATUS) === undefined
+        ? fromCollection(doc, options, collections, req, +status)
+        : undefined;
+    const value = result ? result.value : responseValue(doc, options, path, method, status);
+
+    res.statusCode = result ? result.status : +status;
+    if (result && result.unvalidated) {
+        middleware.respond(res, result.status, value);
+    } else if (value === undefined) {
+        res.end();
+    } else {
+        res.json(value);
+    }
+}
+
+// get the example or random value for a response
+function responseValue(doc, options, path, method, status) {
+    const responses = doc.document.paths[path][method].responses || {};
+    const response = responses[status] || responses.default;
+    if (!response) return;
+
+    if (options.examples) {
+        const result = doc.example(path, method, status, options.seed);
+        result.errors.forEach(err => options.logger(err));
+        return result.value;
+    }
+    return response.schema ? doc.response(path, method, status).random(options.seed) : undefined;
+}
\ No newline at end of file
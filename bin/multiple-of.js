@@ -0,0 +1,31 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+/**
+ * Determine whether a number is a multiple of another number. Decimal multiples such as 0.01 have
+ * no exact floating point representation, so a quotient that is within rounding error of an
+ * integer is accepted.
+ * @param {number} value
+ * @param {number} multiple
+ * @returns {boolean}
+ */
+module.exports = function multipleOf(value, multiple) {
+    if (Number.isInteger(multiple) || !isFinite(value)) return value % multiple === 0;
+    const quotient = value / multiple;
+    return Math.abs(quotient - Math.round(quotient)) <= Math.abs(quotient) * Number.EPSILON * 2;
+};
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const copy              = require('./copy');
+const Enforcer          = require('./enforcer');
+const formats           = require('./formats');
+const messages          = require('./messages');
+const rx                = require('./rx');
+const to                = require('./convert-to');
+const Validator         = require('./validator');
+
+module.exports = Parameter;
+
+// the character that separates array items for each collection format
+const separators = {
+    csv: ',',
+    pipes: '|',
+    ssv: ' ',
+    tsv: '\t'
+};
+
+// parameter object properties that are not schema keywords
+const parameterProperties = ['allowEmptyValue', 'collectionFormat', 'description', 'in', 'name', 'required'];
+
+/**
+ * Create a parameter instance that deserializes and validates the raw string values of a swagger
+ * 2.0 query, path, header, or formData parameter.
+ * @param {object} definition A swagger 2.0 parameter object.
+ * @param {object} [options={}] The enforcer options to validate with.
+ * @returns {Parameter}
+ * @constructor
+ */
+function Parameter(definition, options) {
+    const factory = Object.create(Parameter.prototype);
+
+    // validate definition
+    if (!definition || typeof definition !== 'object') throw Error('Parameter definition must be a non-null object.');
+    if (typeof definition.name !== 'string') throw Error('Parameter definition must have a string name.');
+    if (definition.in === 'body') throw Error('Body parameters must be validated with an Enforcer for their schema: ' + definition.name);
+    if (['formData', 'header', 'path', 'query'].indexOf(definition.in) === -1) {
+        throw Error('Parameter definition "in" must be one of: formData, header, path, query. Received: ' + definition.in);
+    }
+
+    // validate options
+    if (arguments.length < 2) options = {};
+    if (!options || typeof options !== 'object') throw Error('Enforcer options must be a non-null object.');
+
+    Object.defineProperties(factory, {
+
+        /**
+         * @name Parameter#definition
+         * @type {Object}
+         */
+        definition: {
+            value: definition
+        },
+
+        /**
+         * @name Parameter#enforcer
+         * @type {Enforcer}
+         * @private
+         */
+        enforcer: {
+            value: Enforcer(toSchema(definition), {}, options)
+        }
+    });
+
+    return factory;
+}
+
+/**
+ * Convert a raw string value into a value of the parameter's type without validating it. Values
+ * that cannot be converted are returned unchanged so that validation can report them.
+ * @param {string, string[]} value The raw value. Use an array of strings for repeated values of a "multi" collection.
+ * @returns {*}
+ */
+Parameter.prototype.deserialize = function(value) {
+    return deserialize(this.definition, this.enforcer.options, value, true);
+};
+
+/**
+ * Deserialize and validate a raw value. If the parameter is not required and has a default then
+ * the default is used for a missing value. An empty query or formData value is only allowed if
+ * the parameter allows empty values, and then it is not validated. Each error has the parameter's
+ * "in" and "parameter" name.
+ * @param {string, string[]} [value] The raw value. Use an array of strings for repeated values of a "multi" collection.
+ * @returns {{ errors: Error[], value: * }}
+ */
+Parameter.prototype.parse = function(value) {
+    const definition = this.definition;
+    let errors;
+
+    if (value === undefined) {
+        if (definition.required) {
+            errors = valueErrors(this, 'ESEREQ:parameter', 'required');
+        } else {
+            errors = [];
+            if (definition.hasOwnProperty('default')) value = copy(definition.default);
+        }
+    } else if (value === '' && (definition.in === 'query' || definition.in === 'formData')) {
+        if (definition.allowEmptyValue) {
+            errors = [];
+            if (definition.type === 'array') value = [];
+        } else {
+            errors = valueErrors(this, 'ESEEMPT', 'allowEmptyValue');
+        }
+    } else {
+        value = this.deserialize(value);
+        errors = this.enforcer.errors(value);
+        if (!errors.length) value = fromFormat(this.enforcer.schema, value);
+    }
+
+    errors.forEach(err => {
+        err.in = definition.in;
+        err.parameter = definition.name;
+    });
+
+    return {
+        errors: errors,
+        value: value
+    };
+};
+
+function deserialize(schema, options, value, topLevel) {
+    switch (schema.type) {
+        case 'array':
+            if (topLevel && schema.collectionFormat === 'multi') {
+                value = Array.isArray(value) ? value : [ value ];
+            } else if (typeof value === 'string') {
+                value = value ? value.split(separators[schema.collectionFormat || 'csv']) : [];
+            }
+            return Array.isArray(value) && schema.items
+                ? value.map(item => deserialize(schema.items, options, item, false))
+                : value;
+
+        case 'boolean':
+            return typeof value === 'string' && rx.boolean.test(value) ? value === 'true' : value;
+
+        case 'integer':
+            if (typeof value !== 'string' || !rx.integer.test(value)) return value;
+            return finite(schema.format === 'int64' ? int64(options, value) : Number(value), value);
+
+        case 'number':
+            return typeof value === 'string' && rx.number.test(value) ? finite(Number(value), value) : value;
+
+        default:
+            return value;
+    }
+}
+
+// keep the raw value of a number that is too large to represent, so that validation reports it
+function finite(number, value) {
+    return typeof number === 'number' && !isFinite(number) ? value : number;
+}
+
+// convert string values of a format into their richer value, for example a date-time into a Date
+function fromFormat(schema, value) {
+    if (schema.type === 'array' && Array.isArray(value) && schema.items) {
+        return value.map(item => fromFormat(schema.items, item));
+    } else if (schema.type === 'string' && schema.format && typeof value === 'string') {
+        const format = formats.get(schema.format, 'string');
+        return format && format.from ? format.from(value) : value;
+    }
+    return value;
+}
+
+// convert an int64 value, keeping the raw value if it cannot be converted so that validation reports it
+function int64(options, value) {
+    try {
+        return to.integer(value, options);
+    } catch (err) {
+        return value;
+    }
+}
+
+// get the schema that a parameter's value must match
+function toSchema(definition) {
+    const schema = {};
+    Object.keys(definition).forEach(key => {
+        if (parameterProperties.indexOf(key) === -1) schema[key] = key === 'items' ? toSchema(definition.items) : definition[key];
+    });
+    return schema;
+}
+
+// the errors for a missing or empty value, with the message for the key
+function valueErrors(parameter, key, keyword) {
+    const message = messages.format(key, { name: parameter.definition.name }, parameter.enforcer.options.locale);
+    return new Validator({}, {}, false).error('', message, key.split(':')[0].substr(3), { keyword: keyword }).errors;
+}
\ No newline at end of file
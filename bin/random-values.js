@@ -0,0 +1,41 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+/**
+ * Get a random integer.
+ * @param {function} next A function that returns a number between 0 (inclusive) and 1 (exclusive).
+ * @param {number} min The lowest integer, inclusive.
+ * @param {number} max The highest integer, inclusive.
+ * @returns {number}
+ */
+exports.integer = function(next, min, max) {
+    return min + Math.floor(next() * (max - min + 1));
+};
+
+/**
+ * Get a random string.
+ * @param {function} next A function that returns a number between 0 (inclusive) and 1 (exclusive).
+ * @param {string} characters The characters to choose from.
+ * @param {number} length
+ * @returns {string}
+ */
+exports.string = function(next, characters, length) {
+    let result = '';
+    for (let i = 0; i < length; i++) result += characters.charAt(Math.floor(next() * characters.length));
+    return result;
+};
\ No newline at end of file
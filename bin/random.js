@@ -0,0 +1,783 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const compile           = require('./compile');
+const copy              = require('./copy');
+const discriminator     = require('./discriminator');
+const escape            = require('./escape');
+const flatten           = require('./flatten');
+const formats           = require('./formats');
+const multipleOf        = require('./multiple-of');
+const randomValues      = require('./random-values');
+const same              = require('./same');
+const Validator         = require('./validator');
+
+module.exports = random;
+
+// the number of times to generate a value before giving up on a schema that it does not satisfy
+const ATTEMPTS = 20;
+
+// the nesting depth after which optional properties and array items are no longer generated
+const DEPTH = 4;
+
+// the characters used for generated strings
+const letters = 'abcdefghijklmnopqrstuvwxyz';
+
+// the printable ASCII characters that negated character classes and "." choose from
+const printable = [[32, 126]];
+
+// the schema properties whose values are used as examples, in order of preference
+const exampleKeys = ['example', 'x-example', 'default'];
+
+// the schemas produced by merging a schema with one of its anyOf or oneOf schemas
+const mergedSchemas = new WeakMap();
+
+// the characters that the character class escapes match
+const classEscapes = {
+    d: [[48, 57]],
+    s: [[9, 13], [32, 32]],
+    w: [[48, 57], [65, 90], [95, 95], [97, 122]]
+};
+
+// the characters that single character escapes match
+const characterEscapes = {
+    0: 0,
+    f: 12,
+    n: 10,
+    r: 13,
+    t: 9,
+    v: 11
+};
+
+/**
+ * Generate a random value that satisfies a dereferenced schema. Values are generated until one
+ * passes validation, with required properties, minItems, and minProperties always enforced.
+ * @param {Object} schema
+ * @param {Object} definitions
+ * @param {Object} options The normalized enforcer options.
+ * @param {number, string} [seed] Generate the same value each time for the same seed.
+ * @returns {*}
+ * @throws {Error} If a value that satisfies the schema could not be generated.
+ */
+function random(schema, definitions, options, seed) {
+    return generateValid(createContext(definitions, options, seed, false), schema);
+}
+
+/**
+ * Produce a value from the examples of a dereferenced schema. The example, x-example, or default
+ * of each schema is used if it is valid, and random values are generated where there is no valid
+ * example. Each example is validated and those that do not satisfy their schema are reported.
+ * @param {Object} schema
+ * @param {Object} definitions
+ * @param {Object} options The normalized enforcer options.
+ * @param {number, string} [seed=0] The seed for generated values.
+ * @param {Object} [examples] Examples for the entire value, by name, to try before the schema's own.
+ * @returns {{ errors: Error[], value: * }}
+ * @throws {Error} If a value that satisfies the schema could not be produced.
+ */
+random.example = function(schema, definitions, options, seed, examples) {
+    const context = createContext(definitions, options, seed === undefined ? 0 : seed, true);
+
+    examples = examples || {};
+    const names = Object.keys(examples);
+    const length = names.length;
+    for (let i = 0; i < length; i++) {
+        const value = examples[names[i]];
+        const errors = validator(context, context.enforce).validate(schema, '', value).errors;
+        if (!errors.length) return { errors: context.errors, value: copy(value) };
+        report(context, '', 'Example "' + names[i] + '"', errors, { value: value });
+    }
+
+    const value = generateValid(context, schema);
+    return { errors: context.errors, value: value };
+};
+
+/**
+ * Get a seeded pseudo random number generator.
+ * @param {number, string} [seed] If not provided then a random seed is used.
+ * @returns {function} A function that returns a number between 0 (inclusive) and 1 (exclusive).
+ */
+random.generator = function(seed) {
+    let state = seed === undefined ? Math.floor(Math.random() * 4294967296) : hash(String(seed));
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Generate a random string that matches a regular expression pattern. Anchors, word boundaries,
+ * and lookarounds do not produce characters, so a string that must satisfy a lookaround may not
+ * match. Repetitions are chosen so that the string's length is within the limits where possible.
+ * @param {string} pattern
+ * @param {function} next A function that returns a number between 0 (inclusive) and 1 (exclusive).
+ * @param {number} [minLength=0]
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+random.pattern = function(pattern, next, minLength, maxLength) {
+    return generatePattern(parsePattern(pattern), { captures: {}, next: next }, minLength || 0, maxLength === undefined ? Infinity : maxLength);
+};
+
+/**
+ * Get the shortest and longest lengths of the strings that a regular expression pattern
+ * generates. Back references may have any length.
+ * @param {string} pattern
+ * @returns {{ anchored: boolean, max: number, min: number }} The pattern is anchored if each of its
+ * alternatives starts with ^ and ends with $, so that it only matches strings of these lengths.
+ */
+random.patternLength = function(pattern) {
+    const node = parsePattern(pattern);
+    const length = nodeLength(node);
+    return {
+        anchored: node.options.every(terms => terms.length > 0 && terms[0].atom.anchor === '^' && terms[terms.length - 1].atom.anchor === '$'),
+        max: length.max,
+        min: length.min
+    };
+};
+
+function createContext(definitions, options, seed, examples) {
+    return {
+        definitions: definitions,
+        depth: 0,
+        enforce: Object.assign({}, options.enforce, { minItems: true, minProperties: true, required: true }),
+        errors: [],
+        examples: examples,
+        next: random.generator(seed),
+        options: options,
+        reported: new Map()
+    };
+}
+
+// get the schema's valid example values, reporting those that are not valid
+function exampleValues(context, schema, at) {
+    if (!context.reported.has(schema)) context.reported.set(schema, new Set());
+    const reported = context.reported.get(schema);
+    return exampleKeys
+        .filter(key => {
+            if (!schema.hasOwnProperty(key)) return false;
+            const errors = validator(context, context.enforce).validate(schema, '', schema[key]).errors;
+            if (errors.length && !reported.has(key)) {
+                reported.add(key);
+                report(context, at, 'Schema ' + key, errors, { keyword: key, schema: schema, value: schema[key] });
+            }
+            return !errors.length;
+        })
+        .map(key => schema[key]);
+}
+
+function generate(context, schema, at) {
+    const compiled = compile(schema);
+
+    if (context.examples) {
+        const examples = exampleValues(context, schema, at);
+        if (examples.length) return copy(examples[0]);
+    }
+
+    if (Array.isArray(schema.enum) && schema.enum.length) return generateEnum(context, schema);
+
+    if (compiled.type !== 'object' && (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf))) {
+        return generate(context, mergeBranch(schema, pick(context, Array.isArray(schema.anyOf) ? schema.anyOf : schema.oneOf)), at);
+    }
+
+    switch (compiled.type) {
+        case 'array': return generateArray(context, schema, at);
+        case 'boolean': return context.next() < .5;
+        case 'integer': return generateNumber(context, schema, true);
+        case 'number': return generateNumber(context, schema, false);
+        case 'object': return generateObject(context, schema, at);
+        default: return generateString(context, schema);
+    }
+}
+
+function generateArray(context, schema, at) {
+    const min = schema.minItems || 0;
+    const max = schema.hasOwnProperty('maxItems') ? schema.maxItems : min + 3;
+    const length = context.depth < DEPTH ? randomValues.integer(context.next, min, max) : min;
+    const items = schema.items || { type: 'string' };
+    const examples = context.examples;
+    const array = [];
+
+    context.depth++;
+    for (let i = 0; i < length * ATTEMPTS && array.length < length; i++) {
+        const item = generate(context, items, at + '/' + array.length);
+        if (!schema.uniqueItems || !array.some(x => same(x, item))) {
+            array.push(item);
+        } else {
+            // an example repeats the same value, so generate the rest of the unique items
+            context.examples = false;
+        }
+    }
+    context.examples = examples;
+    context.depth--;
+
+    return array;
+}
+
+// choose from the enum values that satisfy the rest of the schema
+function generateEnum(context, schema) {
+    const enforce = context.options.enforce;
+    const values = schema.enum.filter(value => !validator(context, enforce).validate(schema, '', value).errors.length);
+    return copy(pick(context, values.length ? values : schema.enum));
+}
+
+function generateNumber(context, schema, integer) {
+    const hasMinimum = schema.hasOwnProperty('minimum');
+    const hasMaximum = schema.hasOwnProperty('maximum');
+    let min = hasMinimum ? schema.minimum : (hasMaximum ? schema.maximum - 1000 : 0);
+    let max = hasMaximum ? schema.maximum : min + 1000;
+    let value;
+
+    if (schema.multipleOf) {
+        const multiple = schema.multipleOf;
+        let low = Math.ceil(min / multiple);
+        let high = Math.floor(max / multiple);
+        if (hasMinimum && schema.exclusiveMinimum && low * multiple === min) low++;
+        if (hasMaximum && schema.exclusiveMaximum && high * multiple === max) high--;
+
+        // remove the floating point error from decimal multiples, such as 0.07000000000000001
+        value = randomValues.integer(context.next, low, high) * multiple;
+        const rounded = +value.toPrecision(15);
+        if (multipleOf(rounded, multiple)) value = rounded;
+
+    } else if (integer) {
+        min = hasMinimum && schema.exclusiveMinimum && Number.isInteger(min) ? min + 1 : Math.ceil(min);
+        max = hasMaximum && schema.exclusiveMaximum && Number.isInteger(max) ? max - 1 : Math.floor(max);
+        value = randomValues.integer(context.next, min, max);
+
+    } else {
+        value = Math.round((min + context.next() * (max - min)) * 100) / 100;
+        if (value < min || value > max || (schema.exclusiveMinimum && value === min) || (schema.exclusiveMaximum && value === max)) {
+            value = min + (max - min) / 2;
+        }
+    }
+
+    if (integer && schema.format === 'int64') {
+        if (context.options.int64 === 'bigint') return BigInt(value);
+        if (context.options.int64 === 'string') return String(value);
+    }
+    return value;
+}
+
+function generateObject(context, schema, at) {
+    const object = {};
+    const schemas = objectSchemas(context, schema, object);
+    const direction = context.options.direction;
+    const properties = {};
+    const required = new Set();
+    let additional;
+    let hasPropertyEnforcement = false;
+    let maxProperties = Infinity;
+    let minProperties = 0;
+
+    schemas.forEach(item => {
+        if (item.properties) {
+            hasPropertyEnforcement = true;
+            Object.keys(item.properties).forEach(property => {
+                if (!properties.hasOwnProperty(property)) properties[property] = item.properties[property];
+            });
+        }
+        compile(item).requiredProperties.forEach(property => required.add(property));
+        if (item.additionalProperties && !additional) additional = item.additionalProperties;
+        if (item.hasOwnProperty('maxProperties')) maxProperties = Math.min(maxProperties, item.maxProperties);
+        if (item.hasOwnProperty('minProperties')) minProperties = Math.max(minProperties, item.minProperties);
+    });
+
+    // properties that the direction does not allow are never generated
+    const allowed = Object.keys(properties).filter(property => {
+        const compiled = compile(properties[property]);
+        return !object.hasOwnProperty(property) &&
+            !(direction === 'request' && compiled.readOnly) &&
+            !(direction === 'response' && compiled.writeOnly);
+    });
+    const keys = allowed.filter(property => required.has(property));
+    const optional = allowed.filter(property => !required.has(property));
+    let count = Object.keys(object).length + keys.length;
+
+    // add optional properties until the maximum is reached, and then until the minimum is reached,
+    // adding those with examples first when examples are used
+    const exemplified = property => !!context.examples && exampleKeys.some(key => properties[property].hasOwnProperty(key));
+    shuffle(context, optional)
+        .sort((a, b) => exemplified(b) - exemplified(a))
+        .forEach(property => {
+            if (count < maxProperties && (count < minProperties || exemplified(property) || (context.depth < DEPTH && context.next() < .5))) {
+                keys.push(property);
+                count++;
+            }
+        });
+
+    context.depth++;
+    keys.forEach(property => object[property] = generate(context, properties[property], at + '/' + escape(property)));
+
+    // add additional properties to reach the minimum
+    if (!hasPropertyEnforcement || (additional && context.options.enforce.additionalProperties)) {
+        const valueSchema = additional && typeof additional === 'object' ? additional : { type: 'string' };
+        for (let i = 0; i < minProperties * ATTEMPTS && count < minProperties; i++) {
+            const property = randomValues.string(context.next, letters, randomValues.integer(context.next, 3, 10));
+            if (!object.hasOwnProperty(property) && !properties.hasOwnProperty(property)) {
+                object[property] = generate(context, valueSchema, at + '/' + escape(property));
+                count++;
+            }
+        }
+    }
+    context.depth--;
+
+    return object;
+}
+
+function generatePattern(node, state, min, max) {
+    switch (node.type) {
+        case 'alternation':
+            const fitting = node.options.filter(terms => {
+                const length = sequenceLength(terms);
+                return length.min <= max && length.max >= min;
+            });
+            const options = fitting.length ? fitting : node.options;
+            return generateSequence(options[Math.floor(state.next() * options.length)], state, min, max);
+
+        case 'group':
+            const value = generatePattern(node.alternation, state, min, max);
+            if (node.capture) state.captures[node.capture] = value;
+            if (node.name) state.captures[node.name] = value;
+            return value;
+
+        case 'reference':
+            return state.captures[node.reference] || '';
+
+        case 'set':
+            return randomCharacter(state.next, node.negated ? negate(node.ranges) : node.ranges);
+
+        default:
+            return '';
+    }
+}
+
+// generate the terms of a pattern, choosing each term's repetitions so that the length is within the limits where possible
+function generateSequence(terms, state, min, max) {
+    let result = '';
+    terms.forEach((term, index) => {
+        const rest = sequenceLength(terms.slice(index + 1));
+        const atom = nodeLength(term.atom);
+        const start = result.length;
+        const low = Math.max(0, min - start - rest.max);
+        const high = max - start - rest.min;
+
+        let count = term.min + Math.floor(state.next() * (term.max - term.min + 1));
+        const fewest = atom.max > 0 ? Math.max(term.min, Math.ceil(low / atom.max)) : term.min;
+        const most = atom.min > 0 ? Math.min(term.limit, Math.floor(high / atom.min)) : term.limit;
+        if (fewest <= most) count = Math.min(Math.max(count, fewest), most);
+
+        for (let i = 0; i < count; i++) {
+            const remaining = count - i - 1;
+            const used = result.length - start;
+            result += generatePattern(term.atom, state, Math.max(0, low - used - times(remaining, atom.max)), high - used - remaining * atom.min);
+        }
+    });
+    return result;
+}
+
+function generateString(context, schema) {
+    const format = schema.format && formats.get(schema.format, 'string');
+    const pattern = compile(schema).pattern;
+    const hasMaxLength = schema.hasOwnProperty('maxLength');
+    const max = hasMaxLength ? schema.maxLength : (schema.minLength || 0) + 10;
+    const min = schema.hasOwnProperty('minLength') ? schema.minLength : Math.min(3, max);
+    let value;
+
+    // generate until the length is satisfied
+    for (let i = 0; i < ATTEMPTS; i++) {
+        if (format && format.random) {
+            value = format.random(context.next, schema.minLength, schema.maxLength);
+        } else if (pattern) {
+            value = random.pattern(schema.pattern, context.next, schema.minLength, schema.maxLength);
+
+            // a pattern that is not anchored also matches within a longer string
+            if (value.length < schema.minLength) {
+                const padding = randomValues.string(context.next, letters, schema.minLength - value.length);
+                if (pattern.test(value + padding)) {
+                    value += padding;
+                } else if (pattern.test(padding + value)) {
+                    value = padding + value;
+                }
+            }
+        } else {
+            value = randomValues.string(context.next, letters, randomValues.integer(context.next, min, max));
+        }
+        if (value.length >= min && (!hasMaxLength || value.length <= max)) break;
+    }
+
+    return value;
+}
+
+// generate values until one is valid, using examples for only the first half of the attempts
+function generateValid(context, schema) {
+    let errors;
+    for (let i = 0; i < ATTEMPTS; i++) {
+        if (i === ATTEMPTS / 2) context.examples = false;
+        const value = generate(context, schema, '');
+        errors = validator(context, context.enforce).validate(schema, '', value).errors;
+        if (!errors.length) return value;
+    }
+
+    const err = Error('Unable to generate a random value that satisfies the schema:\n\t' + errors.join('\n\t'));
+    err.code = 'ESERAND';
+    err.errors = errors;
+    throw err;
+}
+
+function hash(value) {
+    let result = 2166136261;
+    for (let i = 0; i < value.length; i++) result = Math.imul(result ^ value.charCodeAt(i), 16777619);
+    return result >>> 0;
+}
+
+// the flattened allOf schemas that do not only hold allOf schemas
+function leaves(schema) {
+    return flatten(schema).filter(item => !Array.isArray(item.allOf));
+}
+
+// merge a schema with one of its anyOf or oneOf schemas, keeping only the chosen schema's examples
+function mergeBranch(schema, branch) {
+    if (!mergedSchemas.has(schema)) mergedSchemas.set(schema, new Map());
+    const merged = mergedSchemas.get(schema);
+    if (!merged.has(branch)) {
+        const result = Object.assign({}, schema, branch);
+        delete result.anyOf;
+        delete result.oneOf;
+        delete result.not;
+        exampleKeys.forEach(key => {
+            if (!branch.hasOwnProperty(key)) delete result[key];
+        });
+        merged.set(branch, result);
+    }
+    return merged.get(branch);
+}
+
+// the shortest and longest strings that a parsed pattern node generates
+function nodeLength(node) {
+    if (!node.length) {
+        switch (node.type) {
+            case 'alternation':
+                const lengths = node.options.map(sequenceLength);
+                node.length = {
+                    max: Math.max.apply(Math, lengths.map(length => length.max)),
+                    min: Math.min.apply(Math, lengths.map(length => length.min))
+                };
+                break;
+            case 'group':
+                node.length = nodeLength(node.alternation);
+                break;
+            case 'reference':
+                node.length = { max: Infinity, min: 0 };
+                break;
+            case 'set':
+                node.length = { max: 1, min: 1 };
+                break;
+            default:
+                node.length = { max: 0, min: 0 };
+        }
+    }
+    return node.length;
+}
+
+function negate(ranges) {
+    const results = [];
+    for (let code = printable[0][0]; code <= printable[0][1]; code++) {
+        if (!ranges.some(range => code >= range[0] && code <= range[1])) results.push([code, code]);
+    }
+    return results;
+}
+
+// get the schemas that an object must satisfy, choosing discriminator subtypes and anyOf and oneOf branches
+function objectSchemas(context, schema, object) {
+    const handled = new Set();
+    const isUnhandled = item => !handled.has(item) &&
+        (item.hasOwnProperty('discriminator') || Array.isArray(item.anyOf) || Array.isArray(item.oneOf));
+    let schemas = leaves(schema);
+    let item;
+
+    while ((item = schemas.find(isUnhandled))) {
+        handled.add(item);
+        let chosen;
+
+        if (item.hasOwnProperty('discriminator')) {
+            // a subtype that the mapping targets is produced with its mapped value instead of its definition name
+            const property = discriminator.property(item);
+            const mapped = Object.keys(discriminator.mapping(item));
+            const targets = mapped.map(value => discriminator.subtype(item, context.definitions, value));
+            const values = mapped
+                .concat(Object.keys(context.definitions).filter(name => targets.indexOf(context.definitions[name]) === -1))
+                .filter(value => {
+                    const subtype = discriminator.subtype(item, context.definitions, value);
+                    return subtype && discriminator.extends(subtype, item);
+                });
+            const preferred = values.filter(value => discriminator.extends(discriminator.subtype(item, context.definitions, value), schema));
+            if (values.length) {
+                object[property] = pick(context, preferred.length ? preferred : values);
+                chosen = discriminator.subtype(item, context.definitions, object[property]);
+            }
+        } else {
+            chosen = pick(context, Array.isArray(item.anyOf) ? item.anyOf : item.oneOf);
+        }
+
+        if (chosen) leaves(chosen).forEach(child => {
+            if (schemas.indexOf(child) === -1) schemas = schemas.concat([ child ]);
+        });
+    }
+
+    return schemas;
+}
+
+function parseAlternation(state) {
+    const options = [ parseSequence(state) ];
+    while (state.source.charAt(state.index) === '|') {
+        state.index++;
+        options.push(parseSequence(state));
+    }
+    return { type: 'alternation', options: options };
+}
+
+function parseAtom(state) {
+    const source = state.source;
+    const ch = source.charAt(state.index++);
+
+    switch (ch) {
+        case '(':
+            const group = { type: 'group' };
+            let lookaround = false;
+            if (source.substr(state.index, 2) === '?:') {
+                state.index += 2;
+            } else if (/^\?<?[=!]/.test(source.substr(state.index, 3))) {
+                lookaround = true;
+                state.index += source.charAt(state.index + 1) === '<' ? 3 : 2;
+            } else if (source.substr(state.index, 2) === '?<') {
+                const end = source.indexOf('>', state.index);
+                group.capture = ++state.groups;
+                group.name = source.substring(state.index + 2, end);
+                state.index = end + 1;
+            } else {
+                group.capture = ++state.groups;
+            }
+            group.alternation = parseAlternation(state);
+            if (source.charAt(state.index++) !== ')') throw Error('Unable to parse pattern: ' + source);
+            return lookaround ? { type: 'empty' } : group;
+
+        case '[':
+            return parseClass(state);
+
+        case '.':
+            return { type: 'set', ranges: printable };
+
+        case '^':
+        case '$':
+            return { type: 'empty', anchor: ch };
+
+        case '\\':
+            return parseEscape(state, false);
+
+        default:
+            const code = ch.charCodeAt(0);
+            return { type: 'set', ranges: [[code, code]] };
+    }
+}
+
+function parseClass(state) {
+    const source = state.source;
+    const set = { type: 'set', negated: false, ranges: [] };
+    if (source.charAt(state.index) === '^') {
+        set.negated = true;
+        state.index++;
+    }
+
+    while (state.index < source.length && source.charAt(state.index) !== ']') {
+        const start = parseClassCharacter(state);
+        if (start.length > 1 || start[0][0] !== start[0][1] || source.charAt(state.index) !== '-' || source.charAt(state.index + 1) === ']') {
+            start.forEach(range => set.ranges.push(range));
+        } else {
+            state.index++;
+            const end = parseClassCharacter(state);
+            set.ranges.push([start[0][0], end[0][1]]);
+        }
+    }
+    if (source.charAt(state.index++) !== ']') throw Error('Unable to parse pattern: ' + source);
+
+    return set;
+}
+
+function parseClassCharacter(state) {
+    const ch = state.source.charAt(state.index++);
+    if (ch !== '\\') {
+        const code = ch.charCodeAt(0);
+        return [[code, code]];
+    }
+    return parseEscape(state, true).ranges;
+}
+
+function parseEscape(state, inClass) {
+    const source = state.source;
+    const ch = source.charAt(state.index++);
+    const lower = ch.toLowerCase();
+    let code;
+
+    if (classEscapes.hasOwnProperty(lower)) {
+        return { type: 'set', negated: false, ranges: ch === lower ? classEscapes[ch] : negate(classEscapes[lower]) };
+
+    } else if (characterEscapes.hasOwnProperty(ch)) {
+        code = characterEscapes[ch];
+
+    } else if (ch === 'b' && inClass) {
+        code = 8;
+
+    } else if (ch === 'b' || ch === 'B') {
+        return { type: 'empty' };
+
+    } else if (ch === 'c') {
+        code = source.charCodeAt(state.index++) % 32;
+
+    } else if (ch === 'x' || (ch === 'u' && source.charAt(state.index) !== '{')) {
+        const length = ch === 'x' ? 2 : 4;
+        code = parseInt(source.substr(state.index, length), 16);
+        state.index += length;
+
+    } else if (ch === 'u') {
+        const end = source.indexOf('}', state.index);
+        code = parseInt(source.substring(state.index + 1, end), 16);
+        state.index = end + 1;
+
+    } else if (ch === 'k' && !inClass) {
+        const end = source.indexOf('>', state.index);
+        const name = source.substring(state.index + 1, end);
+        state.index = end + 1;
+        return { type: 'reference', reference: name };
+
+    } else if (/[1-9]/.test(ch) && !inClass) {
+        const match = /^\d*/.exec(source.substr(state.index));
+        state.index += match[0].length;
+        return { type: 'reference', reference: +(ch + match[0]) };
+
+    } else {
+        code = ch.charCodeAt(0);
+    }
+
+    return { type: 'set', negated: false, ranges: [[code, code]] };
+}
+
+function parseQuantifier(state) {
+    const source = state.source;
+    const ch = source.charAt(state.index);
+    let result;
+
+    // unlimited repetitions are generated up to a few more than the minimum unless a length requires more
+    if (ch === '*') {
+        result = { limit: Infinity, min: 0, max: 5 };
+        state.index++;
+    } else if (ch === '+') {
+        result = { limit: Infinity, min: 1, max: 6 };
+        state.index++;
+    } else if (ch === '?') {
+        result = { limit: 1, min: 0, max: 1 };
+        state.index++;
+    } else {
+        const match = /^\{(\d+)(?:(,)(\d*))?\}/.exec(source.substr(state.index));
+        if (!match) return { limit: 1, min: 1, max: 1 };
+        const min = +match[1];
+        const max = !match[2] ? min : (match[3] ? +match[3] : min + 5);
+        result = { limit: !match[2] || match[3] ? max : Infinity, min: min, max: max };
+        state.index += match[0].length;
+    }
+
+    // lazy quantifiers match the same strings
+    if (source.charAt(state.index) === '?') state.index++;
+
+    return result;
+}
+
+function parsePattern(pattern) {
+    const state = { groups: 0, index: 0, source: pattern };
+    const node = parseAlternation(state);
+    if (state.index < pattern.length) throw Error('Unable to parse pattern: ' + pattern);
+    return node;
+}
+
+function parseSequence(state) {
+    const source = state.source;
+    const terms = [];
+    while (state.index < source.length && source.charAt(state.index) !== '|' && source.charAt(state.index) !== ')') {
+        const atom = parseAtom(state);
+        const quantifier = parseQuantifier(state);
+        terms.push({ atom: atom, limit: quantifier.limit, min: quantifier.min, max: quantifier.max });
+    }
+    return terms;
+}
+
+function pick(context, values) {
+    return values[Math.floor(context.next() * values.length)];
+}
+
+function randomCharacter(next, ranges) {
+    const total = ranges.reduce((total, range) => total + range[1] - range[0] + 1, 0);
+    let index = Math.floor(next() * total);
+    const length = ranges.length;
+    for (let i = 0; i < length; i++) {
+        const size = ranges[i][1] - ranges[i][0] + 1;
+        if (index < size) return String.fromCodePoint(ranges[i][0] + index);
+        index -= size;
+    }
+    return '';
+}
+
+function report(context, at, name, errors, details) {
+    const err = validator(context, context.enforce)
+        .error(at, name + ' does not satisfy its schema:\n\t' + errors.join('\n\t'), 'EXMP', details)
+        .errors[0];
+    err.errors = errors;
+    context.errors.push(err);
+}
+
+// the shortest and longest strings that a sequence of pattern terms generates
+function sequenceLength(terms) {
+    return terms.reduce((length, term) => {
+        const atom = nodeLength(term.atom);
+        return {
+            max: length.max + times(term.limit, atom.max),
+            min: length.min + term.min * atom.min
+        };
+    }, { max: 0, min: 0 });
+}
+
+function shuffle(context, array) {
+    const result = array.slice(0);
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(context.next() * (i + 1));
+        const temp = result[i];
+        result[i] = result[j];
+        result[j] = temp;
+    }
+    return result;
+}
+
+// multiply a count by a length, where no repetitions of an unlimited length have no length
+function times(count, length) {
+    return count === 0 || length === 0 ? 0 : count * length;
+}
+
+function validator(context, enforce) {
+    return new Validator(enforce, context.definitions, false).configure(context.options);
+}
\ No newline at end of file
@@ -18,16 +18,30 @@
 
 module.exports = release;
 
+/**
+ * Get a copy of an enforced value that is no longer enforced. Circular references are copied as circular references.
+ * @param {*} value
+ * @returns {*}
+ */
 function release(value) {
-    const target = value.__swaggerResponseProxyTarget__ || value;
+    return releaseValue(value, new Map());
+}
+
+// release a value, using the map of values that have already been released to their copies
+function releaseValue(value, map) {
+    const target = value && value.__swaggerResponseProxyTarget__ || value;
 
-    if (Array.isArray(target)) {
+    if (map.has(target)) {
+        return map.get(target);
+    } else if (Array.isArray(target)) {
         const copy = [];
-        target.forEach(item => copy.push(release(item)));
+        map.set(target, copy);
+        target.forEach(item => copy.push(releaseValue(item, map)));
         return copy;
     } else if (target && typeof target === 'object') {
         const copy = {};
-        Object.keys(target).forEach(key => copy[key] = release(target[key]));
+        map.set(target, copy);
+        Object.keys(target).forEach(key => copy[key] = releaseValue(target[key], map));
         return copy;
     } else {
         return value;
@@ -20,6 +20,15 @@ exports.binary =    /^(?:[01]{8})+$/;
 exports.boolean =   /^(?:true|false)$/;
 exports.byte =      /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
 exports.date =      /^(\d{4})-(\d{2})-(\d{2})$/;
-exports.dateTime =  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d{3}))?Z$/;
-exports.integer =   /^\d+$/;
-exports.number =    /^\d+(?:\.\d+)?$/;
\ No newline at end of file
+exports.dateTime =  /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?([Zz]|([+-])(\d{2}):(\d{2}))$/;
+exports.email =     /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([^@]+)$/;
+exports.hostname =  /^(?=.{1,253}\.?$)[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\.?$/;
+exports.index =     /^\d+$/;
+exports.int64 =     /^-?(?:0|[1-9]\d*)$/;
+exports.integer =   /^[+-]?\d+(?:[eE]\+?\d+)?$/;
+exports.ipv4 =      /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+exports.number =    /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/;
+exports.offset =    /^(?:[Zz]|([+-])(\d{2}):(\d{2}))$/;
+exports.pointer =   /[~/]/;
+exports.uri =       /^[A-Za-z][A-Za-z0-9+.-]*:[^\s"<>\\^`{|}]*$/;
+exports.uuid =      /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
\ No newline at end of file
@@ -42,6 +42,10 @@ exports.enforcer = Typed({
             type: Boolean,
             default: false
         },
+        direction: {           // "request" or "response" to enforce readOnly and writeOnly properties
+            type: String,
+            enum: ['request', 'response']
+        },
         enforce: {
             type: Object,
             default: {},
@@ -101,21 +105,118 @@ exports.enforcer = Typed({
                     type: Boolean,
                     default: false
                 },
+                readOnly: {             // only enforced when the direction is "request"
+                    type: Boolean,
+                    default: true
+                },
                 required: {             // defaults to false because as you're building you may not have added all properties
                     type: Boolean,
                     default: false
                 },
+                writeOnly: {            // only enforced when the direction is "response"
+                    type: Boolean,
+                    default: true
+                },
 
                 // general
                 enum: {
                     type: Boolean,
                     default: true
+                },
+                format: {               // validate string formats such as date-time, email, and uuid
+                    type: Boolean,
+                    default: true
                 }
             }
         },
+        int64: {                // how int64 formatted integers are represented: "number", "bigint", or "string"
+            type: String,
+            enum: ['number', 'bigint', 'string'],
+            default: 'number'
+        },
+        lint: {                 // validate the schema and definitions against the swagger schema object rules
+            type: Boolean,
+            default: true
+        },
+        locale: {               // the locale of error messages, see the messages module
+            type: String,
+            default: 'en'
+        },
+        stripReadOnly: {        // remove readOnly properties instead of producing errors when the direction is "request"
+            type: Boolean,
+            default: false
+        },
         useDefaults: {
             type: Boolean,
             default: false
         }
     }
+});
+
+exports.mock = Typed({
+    type: Object,
+    default: {},
+    properties: {
+        enforcer: {             // the enforcer options used to create the document
+            type: Object,
+            default: {}
+        },
+        examples: {             // respond with examples, or with random values if false
+            type: Boolean,
+            default: true
+        },
+        latency: {              // the number of milliseconds to delay each response
+            type: Number,
+            default: 0
+        },
+        logger: {               // receives validation errors, defaults to console.error
+            type: Function
+        },
+        seed: [                 // the seed for generated values
+            {
+                type: Number
+            },
+            {
+                type: String
+            }
+        ],
+        stateful: {             // store objects created with POST in in-memory collections
+            type: Boolean,
+            default: true
+        }
+    }
+});
+
+exports.middleware = Typed({
+    type: Object,
+    default: {},
+    properties: {
+        enforcer: {             // the enforcer options used to create the document
+            type: Object,
+            default: {}
+        },
+        logger: {               // receives validation errors, defaults to console.error
+            type: Function
+        },
+        request: {              // "reject" responds with 400, "log" continues, "strip" removes unknown body properties
+            type: String,
+            enum: ['log', 'reject', 'strip'],
+            default: 'reject'
+        },
+        response: {             // "reject" responds with 500, "log" sends anyway, "strip" removes unknown properties
+            type: String,
+            enum: ['log', 'reject', 'strip'],
+            default: 'reject'
+        }
+    }
+});
+
+exports.validate = Typed({
+    type: Object,
+    default: {},
+    properties: {
+        locale: {               // the locale of error messages, defaults to the enforcer's locale option
+            type: String
+        }
+    }
 });
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const compile           = require('./compile');
+const escape            = require('./escape');
+const formats           = require('./formats');
+const messages          = require('./messages');
+const rx                = require('./rx');
+const smart             = require('./smart-value');
+const Validator         = require('./validator');
+
+/**
+ * Convert the wire values within a value into richer values, as defined by each schema's format.
+ * For example a date-time string becomes a Date and an int64 integer becomes a BigInt if the int64
+ * option is "bigint". The value itself is not modified.
+ * @param {Object} schema A dereferenced schema.
+ * @param {Object} definitions
+ * @param {Object} options The normalized enforcer options.
+ * @param {*} value
+ * @returns {{ errors: Error[], value: * }} The errors are for values that could not be converted.
+ */
+exports.deserialize = function(schema, definitions, options, value) {
+    return convert(schema, definitions, options, value, true);
+};
+
+/**
+ * Convert the rich values within a value into wire values, as defined by each schema's format.
+ * For example a Date becomes a date-time string and a Buffer becomes a base64 byte string. The
+ * value itself is not modified.
+ * @param {Object} schema A dereferenced schema.
+ * @param {Object} definitions
+ * @param {Object} options The normalized enforcer options.
+ * @param {*} value
+ * @returns {{ errors: Error[], value: * }} The errors are for values that could not be converted.
+ */
+exports.serialize = function(schema, definitions, options, value) {
+    return convert(schema, definitions, options, value, false);
+};
+
+function convert(schema, definitions, options, value, deserialize) {
+    const context = {
+        definitions: definitions,
+        deserialize: deserialize,
+        options: options,
+        validator: new Validator(options.enforce, definitions, false)
+    };
+    const result = walk(context, schema, '', value);
+    return {
+        errors: context.validator.errors,
+        value: result
+    };
+}
+
+function convertValue(context, schema, at, value) {
+    const type = compile(schema).type;
+    const options = context.options;
+    const details = { keyword: 'format', params: { format: schema.format }, schema: schema, value: value };
+
+    // int64 integers are represented as the int64 option defines
+    if (type === 'integer' && schema.format === 'int64') {
+        if (context.deserialize) {
+            if (options.int64 !== 'bigint' || typeof value === 'bigint') return value;
+            if (Number.isInteger(value) || (typeof value === 'string' && rx.int64.test(value))) return BigInt(value);
+            fail(context, at, 'ESEDSER', details, { expected: 'an integer', received: smart(value) });
+        } else if (typeof value === 'bigint') {
+            if (options.int64 === 'string') return String(value);
+            if (Number.isSafeInteger(Number(value))) return Number(value);
+            fail(context, at, 'ESESER:int64', details, { received: String(value) });
+        }
+        return value;
+    }
+
+    const format = type === 'string' && schema.format && formats.get(schema.format, 'string');
+    if (!format) return value;
+
+    if (context.deserialize) {
+        if (!format.from) return value;
+        if (typeof value === 'string' && format.is(value)) return format.from(value);
+        fail(context, at, 'ESEDSER', details, { expected: format.expected, received: smart(value) });
+
+    } else {
+        if (!format.to || (typeof value === 'string' && format.is(value))) return value;
+        try {
+            const result = format.to(value, options);
+            if (typeof result === 'string' && format.is(result)) return result;
+        } catch (err) {
+            // reported below
+        }
+        fail(context, at, 'ESESER', details, { expected: format.expected, received: smart(value) });
+    }
+
+    return value;
+}
+
+// produce an error with the message for its key, using the locale option and the schema's x-error-messages
+function fail(context, at, key, details, data) {
+    const values = Object.assign({ value: details.value }, details.params, data);
+    const message = messages.format(key, values, context.options.locale, details.schema);
+    context.validator.error(at, message, key.split(':')[0].substr(3), details);
+}
+
+// whether a value is an object whose properties may need converting
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
+function walk(context, schema, at, value) {
+    if (!schema || value === null || value === undefined) return value;
+    const compiled = compile(schema);
+
+    if (Array.isArray(value)) {
+        return schema.items
+            ? value.map((item, index) => walk(context, schema.items, at + '/' + index, item))
+            : value.slice(0);
+    }
+
+    if (isObject(value) && compiled.type === 'object') {
+
+        // the discriminator and branch errors are reported by validation, not here
+        const validator = new Validator(context.options.enforce, context.definitions, false);
+        const result = {};
+        Object.keys(value).forEach(property => {
+            result[property] = walk(context, validator.propertySchema(schema, at, value, property), at + '/' + escape(property), value[property]);
+        });
+        return result;
+    }
+
+    // a value of an anyOf or oneOf schema is converted by the first branch that it converts for and validates against
+    if (!compiled.type && (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf))) {
+        const branches = (schema.anyOf || []).concat(schema.oneOf || []);
+        const length = branches.length;
+        for (let i = 0; i < length; i++) {
+            const errors = context.validator.errors;
+            context.validator.errors = [];
+            const result = walk(context, branches[i], at, value);
+            const converted = !context.validator.errors.length;
+            context.validator.errors = errors;
+
+            const wire = context.deserialize ? value : result;
+            const validator = new Validator(context.options.enforce, context.definitions, false).configure(context.options);
+            if (converted && !validator.validate(branches[i], '', wire).errors.length) return result;
+        }
+        return value;
+    }
+
+    return convertValue(context, schema, at, value);
+}
\ No newline at end of file
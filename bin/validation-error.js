@@ -0,0 +1,47 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const messages          = require('./messages');
+
+/**
+ * The error that is thrown when a value fails validation. Its errors array holds every individual
+ * error. If there is only one error then its message, code, and details are also copied onto this
+ * error, otherwise the messages are combined and the code is "ESEMLTI".
+ * @param {Error[]} errors The individual errors, each with "at", "code", "instancePath", "keyword", "params", "schemaPath", and "value" properties.
+ * @param {string} [locale='en'] The locale of the message that combines multiple errors.
+ * @constructor
+ */
+function ValidationError(errors, locale) {
+    if (errors.length === 1) {
+        const err = errors[0];
+        Object.keys(err).forEach(key => this[key] = err[key]);
+        this.message = err.message;
+    } else {
+        this.at = '';
+        this.code = 'ESEMLTI';
+        this.instancePath = '';
+        this.message = messages.format('ESEMLTI', { errors: '\n\t' + errors.map(err => err.message).join('\n\t') }, locale);
+    }
+    this.errors = errors;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, ValidationError);
+}
+
+ValidationError.prototype = Object.create(Error.prototype);
+ValidationError.prototype.constructor = ValidationError;
+ValidationError.prototype.name = 'ValidationError';
+
+module.exports = ValidationError;
\ No newline at end of file
@@ -15,14 +15,22 @@
  *    limitations under the License.
  **/
 'use strict';
-const getSchemaType = require('./schema-type');
-const is            = require('./is');
+const compile       = require('./compile');
+const discriminator = require('./discriminator');
+const escape        = require('./escape');
+const formats       = require('./formats');
+const messages      = require('./messages');
+const multipleOf    = require('./multiple-of');
 const rx            = require('./rx');
 const same          = require('./same');
 const smart         = require('./smart-value');
+const ValidationError = require('./validation-error');
 
 module.exports = Validator;
 
+// the enforcer options that a validator uses
+const optionProperties = ['direction', 'int64', 'locale', 'stripReadOnly'];
+
 /**
  * Define a validator instance.
  * @param {object} enforce
@@ -31,7 +39,12 @@ module.exports = Validator;
  * @constructor
  */
 function Validator(enforce, definitions, throwErrors) {
+    this.building = false;      // set to true while a value is being built so that oneOf allows more than one match
+    this.direction = undefined; // set to "request" or "response" to enforce readOnly and writeOnly properties
     this.enforce = enforce;
+    this.int64 = 'number';      // set to "bigint" or "string" to accept that representation for int64 formatted integers
+    this.locale = undefined;    // the locale of error messages, defaults to "en"
+    this.stripReadOnly = false; // set to true when readOnly properties are removed instead of reported
     this.definitions = definitions;
     this.errors = throwErrors ? undefined : [];
 }
@@ -67,8 +80,8 @@ Validator.prototype.array = function(schema, at, array) {
  * @returns {Validator}
  */
 Validator.prototype.arrayItem = function(schema, at, target, item) {
-    if (schema.items) this.validate(schema.items, '', item);
-    this.arrayUniqueItem(schema, '', target, item);
+    if (schema.items) this.validate(schema.items, at, item);
+    this.arrayUniqueItem(schema, at, target, item);
     return this;
 };
 
@@ -78,11 +91,12 @@ Validator.prototype.arrayItem = function(schema, at, target, item) {
  * @param {string} at
  * @param {Array} target
  * @param {Object,Array} items An array like object.
+ * @param {number} [start=0] The index that the first item has within the array.
  * @returns {Validator}
  */
-Validator.prototype.arrayItems = function(schema, at, target, items) {
+Validator.prototype.arrayItems = function(schema, at, target, items, start) {
     const length = items.length;
-    for (let i = 0; i < length; i++) this.arrayItem(schema, at + '/' + i, target, items[i]);
+    for (let i = 0; i < length; i++) this.arrayItem(schema, at + '/' + ((start || 0) + i), target, items[i]);
     return this;
 };
 
@@ -98,12 +112,12 @@ Validator.prototype.arrayLength = function(schema, at, length) {
 
     // validate max items
     if (enforce.maxItems && schema.hasOwnProperty('maxItems') && length > schema.maxItems) {
-        this.error(at, 'Array length is greater than allowable maximum length', 'LEN');
+        fail(this, at, 'ESELEN:maxItems', { keyword: 'maxItems', params: { limit: schema.maxItems }, schema: schema, value: length });
     }
 
     // validate min items
     if (enforce.minItems && schema.hasOwnProperty('minItems') && length < schema.minItems) {
-        this.error(at, 'Array length is less than allowable minimum length', 'LEN');
+        fail(this, at, 'ESELEN:minItems', { keyword: 'minItems', params: { limit: schema.minItems }, schema: schema, value: length });
     }
 
     return this;
@@ -119,8 +133,8 @@ Validator.prototype.arrayLength = function(schema, at, length) {
  */
 Validator.prototype.arrayUniqueItem = function(schema, at, array, item) {
     const enforce = this.enforce;
-    if (enforce.uniqueItems && schema.uniqueItems && array.find(x => same(x, item))) {
-        this.error(at, 'Array requires that all items be unique. Value is a duplicate: ' + item, 'UNIQ');
+    if (enforce.uniqueItems && schema.uniqueItems && array.some(x => same(x, item))) {
+        fail(this, at, 'ESEUNIQ', { keyword: 'uniqueItems', schema: schema, value: item });
     }
     return this;
 };
@@ -146,6 +160,109 @@ Validator.prototype.arrayUniqueItems = function(schema, at, array, items) {
     return this;
 };
 
+/**
+ * Get the anyOf and oneOf schemas that a value matches.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object[]} [base] The schemas whose properties the branches need not define. Defaults to the schema's inheritance.
+ * @returns {Object[]}
+ */
+Validator.prototype.branches = function(schema, value, base) {
+    const ignore = declaredProperties('', base || compile(schema).inheritance || [ schema ]);
+    const results = [];
+    if (Array.isArray(schema.anyOf)) {
+        anyOfMatches(branchErrors(this, schema.anyOf, '', value, ignore), schema.anyOf, '')
+            .forEach(index => results.push(schema.anyOf[index]));
+    }
+    if (Array.isArray(schema.oneOf)) {
+        branchErrors(this, schema.oneOf, '', value, ignore).forEach((errors, index) => {
+            if (!errors.length) results.push(schema.oneOf[index]);
+        });
+    }
+    return results;
+};
+
+/**
+ * Validate that a value does not reference itself and, if a parent is provided, that the value
+ * does not reference the parent. Circular values cannot be serialized to JSON.
+ * @param {string} at
+ * @param {*} value
+ * @param {Object} [parent] The object or array that the value will be added to.
+ * @returns {Validator}
+ */
+Validator.prototype.circular = function(at, value, parent) {
+    const ancestors = parent ? [ parent ] : [];
+    if (isCircular(value, ancestors)) {
+        fail(this, at, 'ESECIRC', { value: value });
+    }
+    return this;
+};
+
+/**
+ * Create a validator with the same enforcement, definitions, options, and building state.
+ * @param {boolean} [throwErrors=false]
+ * @returns {Validator}
+ */
+Validator.prototype.clone = function(throwErrors) {
+    const validator = new Validator(this.enforce, this.definitions, throwErrors).configure(this);
+    validator.building = this.building;
+    return validator;
+};
+
+/**
+ * Validate a value against the anyOf, oneOf, and not schemas.
+ * @param {Object} schema
+ * @param {string} at
+ * @param {*} value
+ * @param {Object[]} [base] The schemas whose properties the branches need not define. Defaults to the schema's inheritance.
+ * @returns {Validator}
+ */
+Validator.prototype.composition = function(schema, at, value, base) {
+    const ignore = declaredProperties(at, base || compile(schema).inheritance || [ schema ]);
+
+    // validate any of
+    if (Array.isArray(schema.anyOf)) {
+        const results = branchErrors(this, schema.anyOf, at, value, ignore);
+        if (!anyOfMatches(results, schema.anyOf, at).length) {
+            fail(this, at, 'ESEANYOF', { keyword: 'anyOf', params: { errors: results }, schema: schema, value: value }, { branches: describeBranches(results) });
+        }
+    }
+
+    // validate one of
+    if (Array.isArray(schema.oneOf)) {
+        const results = branchErrors(this, schema.oneOf, at, value, ignore);
+        const matches = [];
+        results.forEach((errors, index) => {
+            if (!errors.length) matches.push(index);
+        });
+        if (!matches.length) {
+            fail(this, at, 'ESEONEOF', { keyword: 'oneOf', params: { errors: results }, schema: schema, value: value }, { branches: describeBranches(results) });
+        } else if (matches.length > 1 && !this.building) {
+            fail(this, at, 'ESEONEOF:multiple', { keyword: 'oneOf', params: { matches: matches }, schema: schema, value: value }, { matches: matches.join(', ') });
+        }
+    }
+
+    // validate not
+    if (schema.not && typeof schema.not === 'object' && !branchErrors(this, [ schema.not ], at, value, ignore)[0].length) {
+        fail(this, at, 'ESENOT', { keyword: 'not', schema: schema, value: value });
+    }
+
+    return this;
+};
+
+/**
+ * Use the direction, int64, locale, and stripReadOnly options of an enforcer or another validator.
+ * Options that are not defined keep their defaults.
+ * @param {Object} options
+ * @returns {Validator}
+ */
+Validator.prototype.configure = function(options) {
+    optionProperties.forEach(name => {
+        if (options[name] !== undefined) this[name] = options[name];
+    });
+    return this;
+};
+
 /**
  * Validate that the value falls within the enum.
  * @param {Object} schema
@@ -164,23 +281,25 @@ Validator.prototype.enum = function(schema, at, value) {
                 break;
             }
         }
-        if (!found) this.error(at, 'Value ' + value + ' does not match any enum options.', 'ENUM');
+        if (!found) fail(this, at, 'ESEENUM', { keyword: 'enum', params: { allowed: schema.enum }, schema: schema, value: value });
     }
     return this;
 };
 
 /**
- * Generate an error.
+ * Generate an error. Its instancePath is the same as its at, and its schemaPath is the JSON pointer
+ * to the keyword within the schema if the schema was compiled with a path.
  * @param {string} at
  * @param {string} message
  * @param {string} code
- * @throws {Error}
+ * @param {{ keyword: string, params: Object, schema: Object, value: * }} [details] The keyword that failed, the constraint's parameters, the schema that defines the keyword, and the value.
+ * @throws {ValidationError}
  * @returns {Validator}
  */
-Validator.prototype.error = function(at, message, code) {
-    const err = buildError(at, message, code);
+Validator.prototype.error = function(at, message, code, details) {
+    const err = buildError(at, message, code, details);
     if (!this.errors) {
-        throw err;
+        throw new ValidationError([ err ], this.locale);
     } else {
         this.errors.push(err);
     }
@@ -196,32 +315,39 @@ Validator.prototype.error = function(at, message, code) {
  */
 Validator.prototype.number = function(schema, at, number) {
     const enforce = this.enforce;
+    const value = number;
+    const big = isInt64Value(this, schema, number) ? BigInt(number) : undefined;
+    if (big !== undefined) number = Number(big);
 
     if (typeof number === 'number') {
 
         // validate maximum
         if (enforce.maximum && schema.hasOwnProperty('maximum')) {
-            if (schema.exclusiveMaximum && number === schema.maximum) {
-                this.error(at, 'Value ' + number + ' over exclusive maximum ' + schema.maximum, 'NMAX');
+            const comparison = compareLimit(number, big, schema.maximum);
+            if (schema.exclusiveMaximum && comparison === 0) {
+                fail(this, at, 'ESENMAX:exclusive', limit(schema, 'maximum', value));
             }
-            if (number > schema.maximum) {
-                this.error(at, 'Value ' + number + ' over ' + (schema.exclusiveMaximum ? 'exclusive ' : '') + 'maximum ' + schema.maximum, 'NMAX');
+            if (comparison > 0) {
+                fail(this, at, schema.exclusiveMaximum ? 'ESENMAX:exclusive' : 'ESENMAX', limit(schema, 'maximum', value));
             }
         }
 
         // validate minimum
         if (enforce.minimum && schema.hasOwnProperty('minimum')) {
-            if (schema.exclusiveMinimum && number === schema.minimum) {
-                this.error(at, 'Value ' + number + ' under exclusive minimum ' + schema.minimum, 'NMIN');
+            const comparison = compareLimit(number, big, schema.minimum);
+            if (schema.exclusiveMinimum && comparison === 0) {
+                fail(this, at, 'ESENMIN:exclusive', limit(schema, 'minimum', value));
             }
-            if (number < schema.minimum) {
-                this.error(at, 'Value ' + number + ' under ' + (schema.exclusiveMinimum ? 'exclusive ' : '') + 'minimum ' + schema.minimum, 'NMIN');
+            if (comparison < 0) {
+                fail(this, at, schema.exclusiveMinimum ? 'ESENMIN:exclusive' : 'ESENMIN', limit(schema, 'minimum', value));
             }
         }
 
         // validate multiple of
-        if (enforce.multipleOf && schema.hasOwnProperty('multipleOf') && number % schema.multipleOf !== 0) {
-            this.error(at, 'Value ' + number + ' not a multiple of ' + schema.multipleOf, 'NMULT');
+        if (enforce.multipleOf && schema.hasOwnProperty('multipleOf') && (big !== undefined && Number.isInteger(schema.multipleOf)
+                ? big % BigInt(schema.multipleOf) !== BigInt(0)
+                : !multipleOf(number, schema.multipleOf))) {
+            fail(this, at, 'ESENMULT', { keyword: 'multipleOf', params: { multipleOf: schema.multipleOf }, schema: schema, value: value });
         }
 
     }
@@ -242,15 +368,18 @@ Validator.prototype.object = function(schema, at, object) {
         const valueProperties = Object.keys(object);
         const valuePropertiesLength = valueProperties.length;
 
-        const schemas = this.objectSchemas(schema, at, object);
+        const inherited = inheritedSchemas(this, schema, at, object);
+        const hasComposition = compile(schema).hasComposition;
+        const schemas = hasComposition ? addBranchSchemas(this, inherited, at, object) : inherited;
 
+        if (hasComposition) validateComposition(this, inherited, at, object);
         this.objectHasRequiredProperties(schemas, at, object);
         this.objectPropertyLength(schemas, at, valuePropertiesLength);
 
         // validate all value properties
         for (let i = 0; i < valuePropertiesLength; i++) {
             const property = valueProperties[i];
-            this.objectProperty(schemas, at + '/' + property, object[property], property);
+            this.objectProperty(schemas, at + '/' + escape(property), object[property], property);
         }
     }
 
@@ -258,27 +387,31 @@ Validator.prototype.object = function(schema, at, object) {
 };
 
 /**
- * Get all schema variations possible, including allOf and discriminators.
+ * Validate an object against the anyOf, oneOf, and not schemas of the schema and the schemas it inherits from.
+ * @param {Object} schema
+ * @param {string} at
+ * @param {Object} object
+ * @returns {Validator}
+ */
+Validator.prototype.objectComposition = function(schema, at, object) {
+    validateComposition(this, inheritedSchemas(this, schema, at, object), at, object);
+    return this;
+};
+
+/**
+ * Get all schema variations possible, including allOf, discriminators, and the anyOf and oneOf
+ * schemas that the object matches.
  * @param {Object} schema
  * @param {string} at
  * @param {Object} object
  * @returns {Array}
  */
 Validator.prototype.objectSchemas = function(schema, at, object) {
-    const context = this;
-    const store = {
-        definitions: context.definitions,
-        error: function(message) {
-            context.error(at, message, 'HTNC');
-        },
-        map: new Map(),
-        schemas: [],
-        value: object
-    };
-
-    buildObjectInheritances(store, schema, at, true);
+    const compiled = compile(schema);
+    if (compiled.inheritance && !compiled.hasComposition) return compiled.inheritance;
 
-    return store.schemas;
+    const schemas = inheritedSchemas(this, schema, at, object);
+    return compiled.hasComposition ? addBranchSchemas(this, schemas, at, object) : schemas;
 };
 
 /**
@@ -305,11 +438,11 @@ Validator.prototype.objectPropertyLength = function(schemas, at, object, propert
     allOf(this, schemas, function(schema) {
 
         if (enforce.maxProperties && schema.hasOwnProperty('maxProperties') && length > schema.maxProperties) {
-            this.error(at, 'The object has more properties than the allowed maximum: ' + schema.maxProperties, 'LEN');
+            fail(this, at, 'ESELEN:maxProperties', { keyword: 'maxProperties', params: { limit: schema.maxProperties }, schema: schema, value: length });
         }
 
         if (enforce.minProperties && schema.hasOwnProperty('minProperties') && length < schema.minProperties) {
-            this.error(at, 'The object has fewer properties than the allowed minimum: ' + schema.minProperties, 'LEN');
+            fail(this, at, 'ESELEN:minProperties', { keyword: 'minProperties', params: { limit: schema.minProperties }, schema: schema, value: length });
         }
     });
     return this;
@@ -324,15 +457,11 @@ Validator.prototype.objectPropertyLength = function(schemas, at, object, propert
  */
 Validator.prototype.objectHasRequiredProperties = function(schemas, at, object) {
     const enforce = this.enforce;
-    const valueProperties = Object.keys(object);
-    const self = this;
     if (enforce.required) {
         allOf(this, schemas, function (schema) {
-            if (schema.properties) {
-                const missingProperties = Object.keys(schema.properties)
-                    .filter(property => valueProperties.indexOf(property) === -1);
-                missingProperties.forEach(property => objectPropertyRequired(self, schema, at + '/' + property, property));
-            }
+            compile(schema).requiredProperties
+                .filter(property => !object.hasOwnProperty(property) && !isDirectionExempt(this, schema.properties[property]))
+                .forEach(property => fail(this, at + '/' + escape(property), 'ESEREQ', { keyword: 'required', params: { missingProperty: property }, schema: schema }));
         });
     }
     return this;
@@ -348,13 +477,14 @@ Validator.prototype.objectHasRequiredProperties = function(schemas, at, object)
  */
 Validator.prototype.objectProperty = function(schemas, at, value, property) {
     const enforce = this.enforce;
-    let hasPropertyEnforcement = false;
+    let hasPropertyEnforcement;
     let propertyAllowed = false;
 
     allOf(this, schemas, function (schema) {
-        if (schema.properties) hasPropertyEnforcement = true;
+        if (schema.properties && !hasPropertyEnforcement) hasPropertyEnforcement = schema;
         if (schema.properties && schema.properties[property]) {
             propertyAllowed = true;
+            propertyDirection(this, schema.properties[property], at, property);
             this.validate(schema.properties[property], at, value);
 
         } else if (enforce.additionalProperties && schema.additionalProperties) {
@@ -367,7 +497,7 @@ Validator.prototype.objectProperty = function(schemas, at, value, property) {
     });
 
     if (hasPropertyEnforcement && !propertyAllowed) {
-        this.error(at, 'Property not allowed: ' + property, 'NPER');
+        fail(this, at, 'ESENPER', { keyword: 'additionalProperties', params: { additionalProperty: property }, schema: hasPropertyEnforcement, value: value });
     }
 
     return this;
@@ -388,6 +518,30 @@ Validator.prototype.objectPropertyRequired = function(schemas, at, property) {
     return this;
 };
 
+/**
+ * Get the schema for an object's property, looking in the schemas that the object inherits from,
+ * the subtype that its discriminator selects, and the anyOf and oneOf schemas that it matches when
+ * the schema does not define the property itself.
+ * @param {Object} schema
+ * @param {string} at The JSON pointer to the object.
+ * @param {Object} object
+ * @param {string} property
+ * @returns {Object|undefined}
+ */
+Validator.prototype.propertySchema = function(schema, at, object, property) {
+    if (schema.properties && schema.properties[property]) return schema.properties[property];
+
+    const schemas = this.objectSchemas(schema, at, object);
+    const length = schemas.length;
+    let additional;
+    for (let i = 0; i < length; i++) {
+        const item = schemas[i];
+        if (item.properties && item.properties[property]) return item.properties[property];
+        if (!additional && item.additionalProperties && typeof item.additionalProperties === 'object') additional = item.additionalProperties;
+    }
+    return additional;
+};
+
 /**
  * Validate that a value is serializable.
  * @param {string} at
@@ -400,7 +554,7 @@ Validator.prototype.serializable = function(at, value) {
         case 'function':
         case 'symbol':
         case 'undefined':
-            this.error(at, 'Invalid type. Value type cannot be serialized to JSON string: ' + type, 'TYPE')
+            fail(this, at, 'ESETYPE:serializable', { params: { type: type }, value: value });
     }
     return this;
 };
@@ -420,17 +574,17 @@ Validator.prototype.string = function(schema, at, string) {
 
         // validate max length
         if (enforce.maxLength && schema.hasOwnProperty('maxLength') && length > schema.maxLength) {
-            this.error(at, 'Value ' + string + ' has length (' + length + ') above max length ' + schema.maxLength, 'SMAX');
+            fail(this, at, 'ESESMAX', { keyword: 'maxLength', params: { limit: schema.maxLength }, schema: schema, value: string }, { length: length });
         }
 
         // validate min length
         if (enforce.minLength && schema.hasOwnProperty('minLength') && length < schema.minLength) {
-            this.error(at, 'Value ' + string + ' has length (' + length + ') below min length ' + schema.minLength, 'SMIN');
+            fail(this, at, 'ESESMIN', { keyword: 'minLength', params: { limit: schema.minLength }, schema: schema, value: string }, { length: length });
         }
 
         // validate pattern
-        if (enforce.pattern && schema.hasOwnProperty('pattern') && !(new RegExp(schema.pattern)).test(string)) {
-            this.error(at, 'Value ' + string + ' does not match pattern ' + schema.pattern, 'SPAT');
+        if (enforce.pattern && schema.hasOwnProperty('pattern') && !compile(schema).pattern.test(string)) {
+            fail(this, at, 'ESESPAT', { keyword: 'pattern', params: { pattern: schema.pattern }, schema: schema, value: string });
         }
 
     }
@@ -439,17 +593,12 @@ Validator.prototype.string = function(schema, at, string) {
 };
 
 /**
- * Throw an error if errors exist.
- * @throws {Error}
+ * Throw a single error that holds all errors if errors exist.
+ * @throws {ValidationError}
  * @returns {Validator}
  */
 Validator.prototype.throw = function() {
-    const length = this.errors.length;
-    if (length === 1) {
-        throw this.errors[0];
-    } else if (length > 1) {
-        throw buildError('', "Validation failed due to one or more errors:\n\t" + this.errors.join('\n\t'), 'MLTI');
-    }
+    if (this.errors.length) throw new ValidationError(this.errors, this.locale);
     return this;
 };
 
@@ -461,10 +610,14 @@ Validator.prototype.throw = function() {
  * @returns {Validator}
  */
 Validator.prototype.type = function(schema, at, value) {
-    const type = getSchemaType(schema);
+    const compiled = compile(schema);
+    if (value === null && compiled.nullable) return this;
+
+    const type = compiled.type;
     const valueType = typeof value;
-    let code = 'TYPE';
+    let key = 'ESETYPE';
     let expected = '';
+    let details = { keyword: 'type', params: { type: type }, schema: schema, value: value };
 
     if (type === 'array' && !Array.isArray(value)) {
         expected = 'an array';
@@ -478,47 +631,29 @@ Validator.prototype.type = function(schema, at, value) {
     } else if (type === 'number' && ((valueType !== 'number' || isNaN(value)))) {
         expected = 'a number';
 
-    } else if (type === 'integer' && ((valueType !== 'number' || isNaN(value) || !Number.isInteger(value)))) {
+    } else if (type === 'integer' && !isInt64Value(this, schema, value) && ((valueType !== 'number' || isNaN(value) || !Number.isInteger(value)))) {
         expected = 'an integer';
 
-    } else if (type === 'string') {
-        if (valueType !== 'string') {
-            expected = 'a string';
-        } else {
-            switch (schema.format) {
-                case 'binary':
-                    if (!is.binary(value)) {
-                        expected = 'a binary octet sequence';
-                        code = 'FRMT';
-                    }
-                    break;
-                case 'byte':
-                    if (!is.byte(value)) {
-                        expected = 'a base64 encoded string';
-                        code = 'FRMT';
-                    }
-                    break;
-                case 'date':
-                    if (!is.date(value)) {
-                        expected = 'a date formatted as YYYY-MM-DD';
-                        code = 'FRMT';
-                    } else {
-                        validateDateTime(this, at, value + 'T00:00:00.000Z');
-                    }
-                    break;
-                case 'date-time':
-                    if (!is.dateTime(value)) {
-                        expected = 'a date-time formatted as YYYY-MM-DDThh:mm:ss.uuuZ';
-                        code = 'FRMT';
-                    } else {
-                        validateDateTime(this, at, value);
-                    }
-                    break;
-            }
+    } else if (type === 'string' && valueType !== 'string') {
+        expected = 'a string';
+
+    } else if (type && schema.format && this.enforce.format) {
+        const format = formats.get(schema.format, type);
+        details = { keyword: 'format', params: { format: schema.format }, schema: schema, value: value };
+        if (format && !format.is(value)) {
+            expected = format.expected;
+            key = 'ESEFRMT';
+        } else if (format && format.validate) {
+            const results = format.validate(value);
+            if (results) [].concat(results).forEach(result => {
+                const key = typeof result === 'string' ? result : result.key;
+                const values = Object.assign({ value: value }, details.params, result.data);
+                this.error(at, messages.format(key, values, this.locale, schema), format.code, details);
+            });
         }
     }
 
-    if (expected) this.error(at, 'Invalid type: Expected ' + expected + '. Received: ' + smart(value), code);
+    if (expected) fail(this, at, key, details, { expected: expected, received: smart(value) });
 
     return this;
 };
@@ -531,10 +666,15 @@ Validator.prototype.type = function(schema, at, value) {
  * @returns {Validator}
  */
 Validator.prototype.validate = function(schema, at, value) {
-    const type = getSchemaType(schema);
 
-    // if no schema then we're done validating-
-    if (!schema || (!type && !schema.enum)) return this;
+    // if no schema then we're done validating (additionalProperties may be a boolean)
+    if (!schema || typeof schema !== 'object') return this;
+    const compiled = compile(schema);
+    const type = compiled.type;
+    if (!type && !schema.enum && !compiled.composed) return this;
+
+    // a nullable schema allows null regardless of its other keywords
+    if (value === null && compiled.nullable) return this;
 
     // validate serializable and type
     this.serializable(at, value);
@@ -563,20 +703,72 @@ Validator.prototype.validate = function(schema, at, value) {
     // validate enum
     this.enum(schema, at, value);
 
+    // validate anyOf, oneOf, and not (objects validate composition with their properties)
+    if (compiled.composed && type !== 'object') this.composition(schema, at, value);
+
     return this;
 };
 
 
+function addBranchSchemas(context, schemas, at, object) {
+    let results = schemas;
+    allOf(context, schemas, function(inherited) {
+        if (compile(inherited).composed) {
+            this.branches(inherited, object, schemas).forEach(branch => {
+                this.objectSchemas(branch, at, object).forEach(item => {
+                    if (results.indexOf(item) === -1) results = results.concat([ item ]);
+                });
+            });
+        }
+    });
+    return results;
+}
+
+// the indexes of the anyOf branches that a value matches, first those that match on their own and then those
+// whose only errors are for properties that another matching branch declares
+function anyOfMatches(results, branches, at) {
+    let matches = [];
+    results.forEach((errors, index) => {
+        if (errors.every(err => err.code === 'ESENPER')) matches.push(index);
+    });
+
+    let length;
+    do {
+        length = matches.length;
+        matches = matches.filter(index => {
+            const others = declaredProperties(at, matches.filter(other => other !== index).map(other => branches[other]));
+            return results[index].every(err => others.has(err.at));
+        });
+    } while (matches.length && matches.length !== length);
+
+    return matches.filter(index => !results[index].length)
+        .concat(matches.filter(index => results[index].length));
+}
+
 function allOf(context, schemas, callback) {
     const length = schemas.length;
     for (let i = 0; i < length; i++) callback.call(context, schemas[i]);
 }
 
-function buildError(at, message, code) {
+function branchErrors(context, branches, at, value, ignore) {
+    return branches.map(branch => {
+        return context.clone(false).validate(branch, at, value).errors
+            .filter(err => err.code !== 'ESENPER' || !ignore.has(err.at));
+    });
+}
+
+function buildError(at, message, code, details) {
+    if (!details) details = {};
     if (at) message += ' [at ' + at + ']';
+    const path = details.schema ? compile(details.schema).path : undefined;
     const err = Error(message);
     err.at = at;
     err.code = 'ESE' + code;
+    err.instancePath = at;
+    err.keyword = details.keyword;
+    err.params = details.params || {};
+    err.schemaPath = path !== undefined && details.keyword ? path + '/' + details.keyword : path;
+    err.value = details.value;
     return err;
 }
 
@@ -602,43 +794,138 @@ function buildObjectInheritances(store, schema, at) {
 
         } else if (schema.hasOwnProperty('discriminator')) {
             const value = store.value;
-            const discriminator = schema.discriminator;
-            const name = value[discriminator];
+            const property = discriminator.property(schema);
+            const name = value[property];
+            const subtype = discriminator.subtype(schema, definitions, name);
+
+            if (!value.hasOwnProperty(property)) {
+                store.error('ESEHTNC:missing', schema, { property: property });
 
-            if (!value.hasOwnProperty(discriminator)) {
-                store.error('Missing required discriminator property: ' + discriminator);
+            } else if (!subtype) {
+                store.error('ESEHTNC:definition', schema, { name: name, property: property });
 
-            } else if (!definitions.hasOwnProperty(name)) {
-                store.error('Could not find definition "' + name + '" for discriminator: ' + discriminator);
+            } else if (!discriminator.extends(subtype, schema)) {
+                store.error('ESEHTNC:extends', schema, { name: name, property: property });
+
+            } else if (!discriminator.extends(subtype, store.root) && !discriminator.extends(store.root, subtype)) {
+                // the value must not select a sibling of the subtype that is being validated
+                store.error('ESEHTNC:subtype', schema, { name: name, property: property });
 
             } else {
-                buildObjectInheritances(store, definitions[name], at);
+                buildObjectInheritances(store, subtype, at);
             }
         }
     }
 }
 
-function objectPropertyRequired(context, schema, at, property) {
-    if (schema.required && schema.required.indexOf(property) !== -1) {
-        context.error(at, 'Missing required property: ' + property, 'REQ');
+// compare a number to a maximum or minimum, exactly for an int64 value and an integer bound (NaN if incomparable)
+function compareLimit(number, big, bound) {
+    if (big !== undefined && Number.isInteger(bound)) {
+        const bigBound = BigInt(bound);
+        return big > bigBound ? 1 : big < bigBound ? -1 : 0;
     }
+    return number > bound ? 1 : number < bound ? -1 : number === bound ? 0 : NaN;
 }
 
-function validateDateTime(context, at, value) {
-    const match = rx.dateTime.exec(value);
+function declaredProperties(at, schemas) {
+    const results = new Set();
+    schemas.forEach(schema => {
+        if (schema.properties) Object.keys(schema.properties).forEach(property => results.add(at + '/' + escape(property)));
+    });
+    return results;
+}
+
+function describeBranches(results) {
+    return results
+        .map((errors, index) => '\n\t[' + index + '] ' + errors.map(err => err.message).join('; '))
+        .join('');
+}
 
-    const year = +match[1];
-    const month = +match[2] - 1;
-    const day = +match[3];
-    const date = new Date(value);
-    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
-        context.error(at, 'Date does not exist on the calendar.', 'DATE');
+// produce an error with the message for its key, using the validator's locale and the schema's x-error-messages
+function fail(context, at, key, details, data) {
+    const values = Object.assign({ value: details.value }, details.params, data);
+    context.error(at, messages.format(key, values, context.locale, details.schema), key.split(':')[0].substr(3), details);
+}
+
+function inheritedSchemas(context, schema, at, object) {
+    const inheritance = compile(schema).inheritance;
+    if (inheritance) return inheritance;
+
+    const store = {
+        definitions: context.definitions,
+        error: function(key, schema, params) {
+            fail(context, at, key, { keyword: 'discriminator', params: params, schema: schema, value: object });
+        },
+        map: new Map(),
+        root: schema,
+        schemas: [],
+        value: object
+    };
+
+    buildObjectInheritances(store, schema, at, true);
+
+    return store.schemas;
+}
+
+function isDirectionExempt(context, schema) {
+    const direction = context.direction;
+    if (!direction) return false;
+    const compiled = compile(schema);
+    return direction === 'request' ? compiled.readOnly : compiled.writeOnly;
+}
+
+function isCircular(value, ancestors) {
+    if (!value || typeof value !== 'object' || value instanceof Date || value instanceof Buffer) return false;
+
+    const target = value.__swaggerResponseProxyTarget__ || value;
+    if (ancestors.indexOf(target) !== -1) return true;
+
+    ancestors.push(target);
+    const keys = Object.keys(target);
+    const length = keys.length;
+    for (let i = 0; i < length; i++) {
+        if (isCircular(target[keys[i]], ancestors)) return true;
     }
+    ancestors.pop();
 
-    const hour = +match[4];
-    const minute = +match[5];
-    const second = +match[6];
-    if (hour > 23) context.error(at, 'Date-time hour outside of expected range. Must be between 00 and 23. Received: ' + hour, 'DATE');
-    if (minute > 59) context.error(at, 'Date-time minute outside of expected range. Must be between 00 and 59. Received: ' + minute, 'DATE');
-    if (second > 59) context.error(at, 'Date-time second outside of expected range. Must be between 00 and 59. Received: ' + second, 'DATE');
+    return false;
+}
+
+// whether the value is an int64 integer in the bigint or string representation that the validator accepts
+function isInt64Value(context, schema, value) {
+    if (schema.format !== 'int64') return false;
+    if (context.int64 === 'bigint') return typeof value === 'bigint';
+    if (context.int64 === 'string') return typeof value === 'string' && rx.int64.test(value);
+    return false;
+}
+
+// the details of an error for a maximum or minimum
+function limit(schema, keyword, number) {
+    const exclusive = keyword === 'maximum' ? schema.exclusiveMaximum : schema.exclusiveMinimum;
+    return { keyword: keyword, params: { exclusive: !!exclusive, limit: schema[keyword] }, schema: schema, value: number };
+}
+
+function objectPropertyRequired(context, schema, at, property) {
+    const exempt = schema.properties && schema.properties[property] && isDirectionExempt(context, schema.properties[property]);
+    if (compile(schema).required.has(property) && !exempt) {
+        fail(context, at, 'ESEREQ', { keyword: 'required', params: { missingProperty: property }, schema: schema });
+    }
+}
+
+function propertyDirection(context, schema, at, property) {
+    const direction = context.direction;
+    if (direction) {
+        const compiled = compile(schema);
+        if (direction === 'request' && compiled.readOnly && context.enforce.readOnly && !context.stripReadOnly) {
+            fail(context, at, 'ESEREAD', { keyword: 'readOnly', params: { property: property }, schema: schema });
+        } else if (direction === 'response' && compiled.writeOnly && context.enforce.writeOnly) {
+            fail(context, at, 'ESEWRIT', { keyword: schema.writeOnly === true ? 'writeOnly' : 'x-writeOnly', params: { property: property }, schema: schema });
+        }
+    }
+}
+
+function validateComposition(context, schemas, at, object) {
+    allOf(context, schemas, function(schema) {
+        if (compile(schema).composed) this.composition(schema, at, object, schemas);
+    });
 }
\ No newline at end of file
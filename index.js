@@ -2,10 +2,18 @@
 
 const enforcer              = require('./bin/enforcer');
 enforcer.applyTemplate      = require('./bin/apply-template');
+enforcer.document           = require('./bin/document');
+enforcer.formats            = require('./bin/formats');
 enforcer.injectParameters   = require('./bin/inject-parameters');
 enforcer.is                 = require('./bin/is');
+enforcer.lint               = require('./bin/lint');
+enforcer.messages           = require('./bin/messages');
+enforcer.middleware         = require('./bin/middleware');
+enforcer.mock               = require('./bin/mock');
+enforcer.parameter          = require('./bin/parameter');
 enforcer.release            = require('./bin/release');
 enforcer.same               = require('./bin/same');
 enforcer.to                 = require('./bin/convert-to');
+enforcer.ValidationError    = require('./bin/validation-error');
 
 module.exports = enforcer;
\ No newline at end of file
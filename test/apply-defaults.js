@@ -425,6 +425,32 @@ describe('apply defaults', () => {
             const o = applyDefaults(definitions.Pet, definitions, options, { petType: 'Dog' });
             expect(o).to.deep.equal({ hasFur: true, packSize: 1, petType: 'Dog' });
         });
+
+        it('pet from scratch without type', () => {
+            const o = applyDefaults(definitions.Pet, definitions, options);
+            expect(o).to.equal(undefined);
+        });
+
+        it('pet from scratch with default type', () => {
+            const schema = Object.assign({}, definitions.Pet, {
+                properties: Object.assign({}, definitions.Pet.properties, {
+                    petType: { type: 'string', default: 'dog' }
+                }),
+                'x-discriminator-mapping': { dog: 'Dog' }
+            });
+            const defs = {
+                Pet: schema,
+                Dog: { allOf: [ schema, definitions.Dog.allOf[1] ] }
+            };
+            const o = applyDefaults(schema, defs, options);
+            expect(o).to.deep.equal({ hasFur: true, packSize: 1, petType: 'dog' });
+        });
+
+        it('ignores subtype that does not extend pet', () => {
+            const defs = Object.assign({}, definitions, { Fish: { type: 'object', properties: { fins: { type: 'number', default: 2 } } } });
+            const o = applyDefaults(definitions.Pet, defs, options, { petType: 'Fish' });
+            expect(o).to.deep.equal({ hasFur: true, petType: 'Fish' });
+        });
     });
 
 });
\ No newline at end of file
@@ -142,6 +142,74 @@ describe('apply template', () => {
             expect(result).to.equal('2000-01-01T00:00:00.000Z');
         });
 
+        it('can apply referenced schema', () => {
+            const definitions = {
+                Name: {
+                    type: 'string',
+                    'x-variable': 'x'
+                }
+            };
+            const schema = {
+                type: 'object',
+                properties: {
+                    name: { $ref: '#/definitions/Name' }
+                }
+            };
+            const result = applyTemplate(schema, definitions, { x: 'Bob' });
+            expect(result).to.deep.equal({ name: 'Bob' });
+        });
+
+        it('can apply circular schema', () => {
+            const definitions = {
+                Node: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', 'x-variable': 'name' },
+                        parent: { $ref: '#/definitions/Node' }
+                    }
+                }
+            };
+            const result = applyTemplate(definitions.Node, definitions, { name: 'a' });
+            expect(result).to.deep.equal({ name: 'a' });
+        });
+
+        it('can apply first oneOf schema', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', 'x-variable': 'name' }
+                },
+                oneOf: [
+                    { properties: { age: { type: 'number', default: 1 } } },
+                    { properties: { color: { type: 'string', default: 'red' } } }
+                ]
+            };
+            const result = applyTemplate(schema, {}, { name: 'Bob' });
+            expect(result).to.deep.equal({ name: 'Bob', age: 1 });
+        });
+
+        it('can apply matching anyOf schema', () => {
+            const schema = {
+                type: 'object',
+                anyOf: [
+                    { properties: { age: { type: 'number' }, known: { type: 'boolean', default: true } } },
+                    { properties: { color: { type: 'string' }, shade: { type: 'string', default: 'dark' } } }
+                ]
+            };
+            const result = applyTemplate(schema, {}, {}, {}, { color: 'red' });
+            expect(result).to.deep.equal({ color: 'red', shade: 'dark' });
+        });
+
+        it('does not format null variable for nullable schema', () => {
+            const schema = {
+                type: 'string',
+                'x-nullable': true,
+                'x-variable': 'x'
+            };
+            const result = applyTemplate(schema, {}, { x: null });
+            expect(result).to.equal(null);
+        });
+
         it('can apply object', () => {
             const schema = {
                 type: 'object',
@@ -0,0 +1,76 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const cli           = require('../bin/cli');
+const expect        = require('chai').expect;
+const fs            = require('fs');
+const http          = require('http');
+const os            = require('os');
+const path          = require('path');
+
+describe('cli', () => {
+    const file = path.resolve(os.tmpdir(), 'swagger-enforcer-cli-test.json');
+
+    before(() => {
+        fs.writeFileSync(file, JSON.stringify({
+            swagger: '2.0',
+            info: { title: 'Pets', version: '1.0.0' },
+            paths: {
+                '/pets': {
+                    get: {
+                        responses: {
+                            200: { description: 'Success', schema: { type: 'string', example: 'Mittens' } }
+                        }
+                    }
+                }
+            }
+        }));
+    });
+
+    after(() => fs.unlinkSync(file));
+
+    it('requires the mock command', () => {
+        expect(() => cli(['serve', file])).to.throw(/Usage/);
+    });
+
+    it('requires a file', () => {
+        expect(() => cli(['mock'])).to.throw(/Usage/);
+    });
+
+    it('rejects unknown options', () => {
+        expect(() => cli(['mock', file, '--verbose'])).to.throw(/Unknown option/);
+    });
+
+    it('requires a numeric port', () => {
+        expect(() => cli(['mock', file, '--port', 'abc'])).to.throw(/Usage/);
+    });
+
+    it('starts a mock server', done => {
+        cli(['mock', file, '--port', '0', '--latency', '0', '--seed', 'abc'], server => {
+            http.get({ agent: false, port: server.address().port, path: '/pets' }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    expect(res.statusCode).to.equal(200);
+                    expect(JSON.parse(Buffer.concat(chunks).toString())).to.equal('Mittens');
+                    server.close(() => done());
+                });
+            });
+        });
+    });
+
+});
\ No newline at end of file
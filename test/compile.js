@@ -0,0 +1,97 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const compile       = require('../bin/compile');
+const expect        = require('chai').expect;
+
+describe('compile', () => {
+
+    it('compiles once', () => {
+        const schema = { type: 'string' };
+        expect(compile(schema)).to.equal(compile(schema));
+    });
+
+    it('determines type', () => {
+        expect(compile({ items: {} }).type).to.equal('array');
+    });
+
+    it('caches pattern', () => {
+        const compiled = compile({ type: 'string', pattern: '^a' });
+        expect(compiled.pattern).to.be.instanceof(RegExp);
+        expect(compiled.pattern.test('abc')).to.be.true;
+    });
+
+    it('precomputes required', () => {
+        const compiled = compile({
+            type: 'object',
+            properties: { a: {}, b: {} },
+            required: ['a', 'c']
+        });
+        expect(compiled.required.has('c')).to.be.true;
+        expect(compiled.requiredProperties).to.deep.equal(['a']);
+    });
+
+    it('flattens allOf', () => {
+        const a = { properties: { a: {} } };
+        const b = { properties: { b: {} } };
+        const c = { properties: { c: {} } };
+        const schema = { allOf: [ a, { allOf: [ b, a ] }, c ] };
+        expect(compile(schema).inheritance).to.deep.equal([ a, b, c ]);
+    });
+
+    it('does not flatten discriminated allOf', () => {
+        const base = { discriminator: 'type', properties: { type: {} }, required: ['type'] };
+        const schema = { allOf: [ base, { properties: { a: {} } } ] };
+        expect(compile(schema).inheritance).to.be.undefined;
+    });
+
+    it('determines composition', () => {
+        expect(compile({ type: 'string' }).composed).to.be.false;
+        expect(compile({ oneOf: [ { type: 'string' } ] }).composed).to.be.true;
+        expect(compile({ not: { type: 'string' } }).composed).to.be.true;
+    });
+
+    it('compiles composed schemas', () => {
+        const branch = { type: 'string', pattern: '^a' };
+        compile.all({ anyOf: [ branch ] });
+        expect(compile(branch).pattern).to.be.instanceof(RegExp);
+    });
+
+    it('compiles nested and circular schemas', () => {
+        const schema = { type: 'object', properties: { name: { type: 'string', pattern: '^a' } } };
+        schema.properties.parent = schema;
+        compile.all(schema);
+        expect(compile(schema.properties.name).pattern).to.be.instanceof(RegExp);
+    });
+
+    it('records the path of each schema', () => {
+        const item = { type: 'string' };
+        const schema = { type: 'object', properties: { 'a/b': { type: 'array', items: item }, c: { anyOf: [ item, {} ] } } };
+        compile.all(schema, '#/definitions/Thing');
+        expect(compile(schema).path).to.equal('#/definitions/Thing');
+        expect(compile(schema.properties['a/b']).path).to.equal('#/definitions/Thing/properties/a~1b');
+        expect(compile(schema.properties.c.anyOf[1]).path).to.equal('#/definitions/Thing/properties/c/anyOf/1');
+    });
+
+    it('keeps the first path of a schema', () => {
+        const shared = { type: 'string' };
+        compile.all({ properties: { a: shared } }, '#/definitions/A');
+        compile.all({ properties: { b: shared } }, '#/definitions/B');
+        expect(compile(shared).path).to.equal('#/definitions/A/properties/a');
+    });
+
+});
\ No newline at end of file
@@ -185,6 +185,47 @@ describe('convert-to', () => {
         it('boolean', () => {
             expect(() => to.dateTime(true)).to.throw(Error);
         });
+
+        it('offset normalized to UTC', () => {
+            expect(to.dateTime('2000-01-01T10:00:00+02:00')).to.equal('2000-01-01T08:00:00.000Z');
+        });
+
+        it('lowercase designators', () => {
+            expect(to.dateTime('2000-01-01t10:00:00z')).to.equal('2000-01-01T10:00:00.000Z');
+        });
+
+        it('leap second', () => {
+            expect(to.dateTime('2016-12-31T23:59:60Z')).to.equal('2017-01-01T00:00:00.000Z');
+        });
+
+        it('preserve offset', () => {
+            const value = '2000-01-01T10:00:00.123456+02:00';
+            expect(to.dateTime(value, { timeZone: 'preserve' })).to.equal(value);
+        });
+
+        it('preserve Date object', () => {
+            expect(to.dateTime(new Date(iso), { timeZone: 'preserve' })).to.equal(iso);
+        });
+
+        it('to offset', () => {
+            expect(to.dateTime('2000-01-01T10:00:00.123456+02:00', { timeZone: '-05:30' })).to.equal('2000-01-01T02:30:00.123456-05:30');
+        });
+
+        it('to offset across day', () => {
+            expect(to.dateTime(iso, { timeZone: '-02:00' })).to.equal('1999-12-31T23:15:22.345-02:00');
+        });
+
+        it('to IANA time zone', () => {
+            expect(to.dateTime('2000-07-01T12:00:00Z', { timeZone: 'America/Denver' })).to.equal('2000-07-01T06:00:00-06:00');
+        });
+
+        it('to IANA time zone in standard time', () => {
+            expect(to.dateTime('2000-01-01T12:00:00Z', { timeZone: 'America/Denver' })).to.equal('2000-01-01T05:00:00-07:00');
+        });
+
+        it('unknown time zone', () => {
+            expect(() => to.dateTime(iso, { timeZone: 'Nowhere/Special' })).to.throw(/Unknown time zone/);
+        });
     });
 
     describe('integer', () => {
@@ -197,6 +238,10 @@ describe('convert-to', () => {
             expect(() => to.integer('abc')).to.throw(Error);
         });
 
+        it('exponent string', () => {
+            expect(to.integer('-1e3')).to.equal(-1000);
+        });
+
         it('number', () => {
             expect(to.integer(123)).to.equal(123);
         });
@@ -217,6 +262,35 @@ describe('convert-to', () => {
             expect(to.integer(false)).to.equal(0);
         });
 
+        it('bigint', () => {
+            expect(to.integer(BigInt(123))).to.equal(123);
+        });
+
+        it('int64 bigint from string', () => {
+            expect(to.integer('9223372036854775807', { int64: 'bigint' })).to.equal(BigInt('9223372036854775807'));
+        });
+
+        it('int64 bigint rounds decimal', () => {
+            expect(to.integer(122.5, { int64: 'bigint' })).to.equal(BigInt(123));
+        });
+
+        it('int64 string from bigint', () => {
+            expect(to.integer(BigInt('-9223372036854775808'), { int64: 'string' })).to.equal('-9223372036854775808');
+        });
+
+        it('int64 string from number', () => {
+            expect(to.integer(15, { int64: 'string' })).to.equal('15');
+        });
+
+        it('int64 NaN string', () => {
+            expect(() => to.integer('abc', { int64: 'bigint' })).to.throw(Error);
+        });
+
+        it('int64 non-finite string', () => {
+            expect(() => to.integer('1e400', { int64: 'bigint' })).to.throw(/Cannot convert to integer/);
+            expect(() => to.integer('1e400', { int64: 'string' })).to.throw(/Cannot convert to integer/);
+        });
+
     });
 
     describe('number', () => {
@@ -0,0 +1,147 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const dereference   = require('../bin/dereference');
+const expect        = require('chai').expect;
+
+describe('dereference', () => {
+
+    it('resolves definition reference', () => {
+        const root = {
+            definitions: {
+                Pet: { type: 'object' }
+            },
+            schema: { $ref: '#/definitions/Pet' }
+        };
+        const result = dereference(root);
+        expect(result.schema).to.equal(result.definitions.Pet);
+        expect(result.schema).to.deep.equal({ type: 'object' });
+    });
+
+    it('does not modify the original', () => {
+        const root = {
+            definitions: { Pet: { type: 'object' } },
+            schema: { items: { $ref: '#/definitions/Pet' } }
+        };
+        dereference(root);
+        expect(root.schema.items).to.deep.equal({ $ref: '#/definitions/Pet' });
+    });
+
+    it('resolves nested reference', () => {
+        const root = {
+            definitions: {
+                Pet: {
+                    type: 'object',
+                    properties: {
+                        address: { $ref: '#/definitions/Address' }
+                    }
+                },
+                Address: { type: 'string' }
+            }
+        };
+        const result = dereference(root);
+        expect(result.definitions.Pet.properties.address).to.equal(result.definitions.Address);
+    });
+
+    it('resolves arbitrary pointer', () => {
+        const root = {
+            definitions: {
+                Pet: {
+                    properties: {
+                        name: { type: 'string' }
+                    }
+                }
+            },
+            schema: { $ref: '#/definitions/Pet/properties/name' }
+        };
+        expect(dereference(root).schema).to.deep.equal({ type: 'string' });
+    });
+
+    it('resolves escaped pointer', () => {
+        const root = {
+            paths: {
+                '/pets/{id}': { type: 'string' }
+            },
+            schema: { $ref: '#/paths/~1pets~1%7Bid%7D' }
+        };
+        expect(dereference(root).schema).to.deep.equal({ type: 'string' });
+    });
+
+    it('resolves reference to reference', () => {
+        const root = {
+            definitions: {
+                A: { $ref: '#/definitions/B' },
+                B: { type: 'number' }
+            }
+        };
+        const result = dereference(root);
+        expect(result.definitions.A).to.equal(result.definitions.B);
+    });
+
+    it('resolves pointer through reference', () => {
+        const root = {
+            definitions: {
+                A: { $ref: '#/definitions/B' },
+                B: { properties: { x: { type: 'number' } } }
+            },
+            schema: { $ref: '#/definitions/A/properties/x' }
+        };
+        expect(dereference(root).schema).to.deep.equal({ type: 'number' });
+    });
+
+    it('retains shared objects', () => {
+        const shared = { type: 'string' };
+        const root = { a: shared, b: [ shared ] };
+        const result = dereference(root);
+        expect(result.a).to.equal(result.b[0]);
+    });
+
+    it('can dereference a specific value', () => {
+        const root = { definitions: { Pet: { type: 'object' } } };
+        expect(dereference(root, { $ref: '#/definitions/Pet' })).to.deep.equal({ type: 'object' });
+    });
+
+    it('missing reference', () => {
+        const root = { schema: { $ref: '#/definitions/Pet' } };
+        expect(code(() => dereference(root))).to.equal('ESEREF');
+    });
+
+    it('non-local reference', () => {
+        const root = { schema: { $ref: 'pet.json#/Pet' } };
+        expect(code(() => dereference(root))).to.equal('ESEREF');
+    });
+
+    it('reference loop', () => {
+        const root = {
+            definitions: {
+                A: { $ref: '#/definitions/B' },
+                B: { $ref: '#/definitions/A' }
+            }
+        };
+        expect(code(() => dereference(root))).to.equal('ESEREF');
+    });
+
+});
+
+function code(callback) {
+    try {
+        callback();
+    } catch (e) {
+        return e.code;
+    }
+    throw Error('Expected an error to be thrown but was not.');
+}
\ No newline at end of file
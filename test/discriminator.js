@@ -0,0 +1,69 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const discriminator = require('../bin/discriminator');
+const expect        = require('chai').expect;
+
+describe('discriminator', () => {
+    const Pet = {
+        type: 'object',
+        discriminator: 'petType',
+        properties: { petType: { type: 'string' } },
+        required: ['petType']
+    };
+    const extension = { properties: { huntingSkill: { type: 'string' } } };
+    const Cat = { allOf: [ Pet, extension ] };
+    const Lion = { allOf: [ Cat, { properties: { roar: { type: 'boolean' } } } ] };
+    const definitions = { Pet: Pet, Cat: Cat, Lion: Lion };
+
+    it('string property', () => {
+        expect(discriminator.property(Pet)).to.equal('petType');
+    });
+
+    it('object property', () => {
+        expect(discriminator.property({ discriminator: { propertyName: 'kind' } })).to.equal('kind');
+    });
+
+    it('subtype by name', () => {
+        expect(discriminator.subtype(Pet, definitions, 'Cat')).to.equal(Cat);
+    });
+
+    it('subtype by x-discriminator-mapping', () => {
+        const schema = Object.assign({}, Pet, { 'x-discriminator-mapping': { cat: 'Cat' } });
+        expect(discriminator.subtype(schema, definitions, 'cat')).to.equal(Cat);
+    });
+
+    it('subtype by mapping pointer', () => {
+        const schema = Object.assign({}, Pet, { discriminator: { propertyName: 'petType', mapping: { cat: '#/definitions/Cat' } } });
+        expect(discriminator.subtype(schema, definitions, 'cat')).to.equal(Cat);
+    });
+
+    it('unknown subtype', () => {
+        expect(discriminator.subtype(Pet, definitions, 'Dog')).to.equal(undefined);
+    });
+
+    it('extends', () => {
+        expect(discriminator.extends(Lion, Pet)).to.be.true;
+        expect(discriminator.extends(Pet, Pet)).to.be.true;
+        expect(discriminator.extends({ type: 'object' }, Pet)).to.be.false;
+    });
+
+    it('extensions', () => {
+        expect(discriminator.extensions(Cat, Pet)).to.deep.equal([ extension ]);
+    });
+
+});
\ No newline at end of file
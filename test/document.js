@@ -0,0 +1,496 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Document      = require('../bin/document');
+const expect        = require('chai').expect;
+
+describe('document', () => {
+    const swagger = {
+        swagger: '2.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        paths: {
+            '/pets': {
+                post: {
+                    parameters: [
+                        {
+                            name: 'body',
+                            in: 'body',
+                            schema: { $ref: '#/definitions/Pet' }
+                        }
+                    ],
+                    responses: {
+                        201: {
+                            description: 'Created',
+                            schema: { $ref: '#/definitions/Pet' }
+                        }
+                    }
+                }
+            },
+            '/pets/{id}': {
+                parameters: [
+                    { name: 'id', in: 'path', required: true, type: 'integer' }
+                ],
+                get: {
+                    responses: {
+                        200: {
+                            description: 'Success',
+                            schema: { $ref: '#/definitions/Pet' }
+                        },
+                        204: {
+                            description: 'No content'
+                        },
+                        default: {
+                            description: 'Error',
+                            schema: { $ref: '#/definitions/Error' }
+                        }
+                    }
+                }
+            }
+        },
+        definitions: {
+            Error: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' }
+                }
+            },
+            Pet: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', readOnly: true },
+                    name: { type: 'string', maxLength: 10 },
+                    secret: { type: 'string', 'x-writeOnly': true },
+                    tag: { type: 'string' }
+                },
+                required: ['name']
+            }
+        }
+    };
+
+    describe('construct', () => {
+
+        it('document must be an object', () => {
+            expect(() => Document('hello')).to.throw(Error);
+        });
+
+        it('options must be an object', () => {
+            expect(() => Document(swagger, 'hello')).to.throw(Error);
+        });
+
+        it('invalid schema', () => {
+            const swagger = { definitions: { Pet: { type: 'object', properties: { name: { type: 'str' } } } } };
+            expect(code(() => Document(swagger))).to.equal('ESESCHM');
+        });
+
+        it('unresolvable reference', () => {
+            const swagger = { definitions: { Pet: { $ref: '#/definitions/Dog' } } };
+            expect(code(() => Document(swagger))).to.equal('ESEREF');
+        });
+
+    });
+
+    describe('buildResponse', () => {
+        const api = {
+            swagger: '2.0',
+            info: { title: 'Pets', version: '1.0.0' },
+            paths: {
+                '/pets/{id}': {
+                    get: {
+                        responses: {
+                            200: {
+                                description: 'Success',
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        href: { type: 'string', 'x-template': '/pets/{id}' },
+                                        id: { type: 'integer', 'x-variable': 'id' },
+                                        name: { type: 'string', maxLength: 10 },
+                                        status: { type: 'string', default: 'available' }
+                                    },
+                                    required: ['name']
+                                }
+                            },
+                            default: {
+                                description: 'Error',
+                                schema: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        it('applies defaults and templates', () => {
+            const body = Document(api).buildResponse('/pets/{id}', 'get', 200, { id: 12 });
+            expect(body).to.deep.equal({ href: '/pets/12', id: 12, status: 'available' });
+        });
+
+        it('returns an enforced value', () => {
+            const body = Document(api).buildResponse('/pets/{id}', 'get', 200);
+            expect(() => body.name = 'Mittens the Great').to.throw(Error);
+            body.name = 'Mittens';
+            expect(body.name).to.equal('Mittens');
+        });
+
+        it('starts an array empty', () => {
+            const body = Document(api).buildResponse('/pets/{id}', 'get', 500);
+            expect(body).to.deep.equal([]);
+            expect(() => body.push(1)).to.throw(Error);
+        });
+
+    });
+
+    describe('example', () => {
+        const api = {
+            swagger: '2.0',
+            info: { title: 'Pets', version: '1.0.0' },
+            paths: {
+                '/pets/{id}': {
+                    get: {
+                        responses: {
+                            200: {
+                                description: 'Success',
+                                schema: { $ref: '#/definitions/Pet' },
+                                examples: {
+                                    'text/plain': { name: 'Plain' },
+                                    'application/json': { name: 'Json' }
+                                }
+                            },
+                            201: {
+                                description: 'Created',
+                                schema: { $ref: '#/definitions/Pet' },
+                                examples: { 'application/json': { name: 5 } }
+                            },
+                            204: {
+                                description: 'No content',
+                                examples: { 'text/plain': 'Nothing' }
+                            }
+                        }
+                    }
+                }
+            },
+            definitions: {
+                Pet: {
+                    type: 'object',
+                    properties: { name: { type: 'string', example: 'Mittens' } },
+                    required: ['name']
+                }
+            }
+        };
+
+        it('prefers json response example', () => {
+            expect(Document(api).example('/pets/{id}', 'get', 200)).to.deep.equal({ errors: [], value: { name: 'Json' } });
+        });
+
+        it('reports invalid response example', () => {
+            const result = Document(api).example('/pets/{id}', 'get', 201);
+            expect(result.value).to.deep.equal({ name: 'Mittens' });
+            expect(result.errors.length).to.equal(1);
+            expect(result.errors[0].code).to.equal('ESEEXMP');
+        });
+
+        it('response without schema', () => {
+            expect(Document(api).example('/pets/{id}', 'get', 204).value).to.equal('Nothing');
+        });
+
+        it('undefined response', () => {
+            expect(() => Document(api).example('/pets/{id}', 'get', 500)).to.throw(Error);
+        });
+
+    });
+
+    describe('definition', () => {
+
+        it('validates against the definition', () => {
+            const errors = Document(swagger).definition('Pet').errors({ name: 'Mittens the Great' });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESESMAX');
+        });
+
+        it('reuses enforcer', () => {
+            const doc = Document(swagger);
+            expect(doc.definition('Pet')).to.equal(doc.definition('Pet'));
+        });
+
+        it('passes options to enforcer', () => {
+            const errors = Document(swagger, { enforce: { required: true } }).definition('Pet').errors({});
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEREQ');
+        });
+
+        it('unknown definition', () => {
+            expect(() => Document(swagger).definition('Dog')).to.throw(Error);
+        });
+
+    });
+
+    describe('response', () => {
+
+        it('gets response schema', () => {
+            const errors = Document(swagger).response('/pets/{id}', 'get', 200).errors({ name: 1 });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESETYPE');
+        });
+
+        it('errors have schema paths into the document', () => {
+            const errors = Document(swagger).response('/pets/{id}', 'get', 200).errors({ name: 1 });
+            expect(errors[0].schemaPath).to.equal('#/definitions/Pet/properties/name/type');
+        });
+
+        it('method is case insensitive', () => {
+            expect(() => Document(swagger).response('/pets/{id}', 'GET', 200)).not.to.throw(Error);
+        });
+
+        it('uses default response', () => {
+            const doc = Document(swagger);
+            expect(doc.response('/pets/{id}', 'get', 500)).to.equal(doc.response('/pets/{id}', 'get', 'default'));
+        });
+
+        it('response without schema', () => {
+            expect(() => Document(swagger).response('/pets/{id}', 'get', 204)).to.throw(Error);
+        });
+
+        it('complete response enforces required properties', () => {
+            const doc = Document(swagger);
+            expect(doc.response('/pets/{id}', 'get', 200).errors({})).to.deep.equal([]);
+            const complete = doc.response('/pets/{id}', 'get', 200, true);
+            expect(complete.errors({}).map(err => err.code)).to.deep.equal(['ESEREQ']);
+            expect(complete.options.direction).to.equal('response');
+            expect(doc.response('/pets/{id}', 'get', 200, true)).to.equal(complete);
+        });
+
+        it('rejects write only property', () => {
+            const errors = Document(swagger).response('/pets/{id}', 'get', 200).errors({ id: 1, name: 'Mittens', secret: 'a' });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEWRIT');
+        });
+
+        it('undefined path', () => {
+            expect(() => Document(swagger).response('/cats', 'get', 200)).to.throw(Error);
+        });
+
+        it('undefined method', () => {
+            expect(() => Document(swagger).response('/pets', 'get', 200)).to.throw(Error);
+        });
+
+        it('undefined response', () => {
+            expect(() => Document(swagger).response('/pets', 'post', 200)).to.throw(Error);
+        });
+
+    });
+
+    describe('requestBody', () => {
+
+        it('gets body schema', () => {
+            const errors = Document(swagger).requestBody('/pets', 'post').errors({ name: 'Mittens', tag: 5 });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESETYPE');
+        });
+
+        it('rejects read only property', () => {
+            const errors = Document(swagger).requestBody('/pets', 'post').errors({ id: 1, name: 'Mittens', secret: 'a' });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEREAD');
+        });
+
+        it('operation without body', () => {
+            expect(() => Document(swagger).requestBody('/pets/{id}', 'get')).to.throw(Error);
+        });
+
+    });
+
+    describe('request', () => {
+        const api = {
+            swagger: '2.0',
+            info: { title: 'Pets', version: '1.0.0' },
+            basePath: '/api',
+            paths: {
+                '/pets': {
+                    get: {
+                        parameters: [
+                            { name: 'limit', in: 'query', type: 'integer', maximum: 100, default: 10 },
+                            { name: 'tags', in: 'query', type: 'array', collectionFormat: 'multi', items: { type: 'string' } },
+                            { name: 'X-Request-Id', in: 'header', type: 'string', required: true },
+                            { name: 'verbose', in: 'query', type: 'boolean', allowEmptyValue: true }
+                        ],
+                        responses: { 200: { description: 'Success' } }
+                    },
+                    post: {
+                        parameters: [
+                            { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+                        ],
+                        responses: { 201: { description: 'Created' } }
+                    }
+                },
+                '/pets/{id}': {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, type: 'integer' }
+                    ],
+                    get: {
+                        responses: { 200: { description: 'Success' } }
+                    }
+                },
+                '/pets/mine': {
+                    get: {
+                        responses: { 200: { description: 'Success' } }
+                    }
+                },
+                '/files': {
+                    post: {
+                        parameters: [
+                            { name: 'name', in: 'formData', type: 'string', required: true }
+                        ],
+                        responses: { 201: { description: 'Created' } }
+                    }
+                }
+            },
+            definitions: swagger.definitions
+        };
+        const headers = { 'x-request-id': 'abc' };
+
+        it('valid request', () => {
+            const result = Document(api).request({ method: 'GET', path: '/api/pets', query: { limit: '5', tags: ['a', 'b'] }, headers: headers });
+            expect(result.errors).to.equal(null);
+            expect(result.path).to.equal('/pets');
+            expect(result.params.query).to.deep.equal({ limit: 5, tags: ['a', 'b'] });
+            expect(result.params.header).to.deep.equal({ 'X-Request-Id': 'abc' });
+        });
+
+        it('parses query string from path', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets?limit=7&tags=a', headers: headers });
+            expect(result.params.query).to.deep.equal({ limit: 7, tags: ['a'] });
+        });
+
+        it('uses defaults', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets', headers: headers });
+            expect(result.params.query).to.deep.equal({ limit: 10 });
+        });
+
+        it('extracts path parameters', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets/12' });
+            expect(result.path).to.equal('/pets/{id}');
+            expect(result.params.path).to.deep.equal({ id: 12 });
+        });
+
+        it('prefers paths without parameters', () => {
+            expect(Document(api).request({ method: 'get', path: '/api/pets/mine' }).path).to.equal('/pets/mine');
+        });
+
+        it('ignores trailing slash', () => {
+            expect(Document(api).request({ method: 'get', path: '/api/pets/12/' }).params.path).to.deep.equal({ id: 12 });
+        });
+
+        it('groups errors by location', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets?limit=500' });
+            expect(Object.keys(result.errors).sort()).to.deep.equal(['header', 'query']);
+            expect(result.errors.query[0].code).to.equal('ESENMAX');
+            expect(result.errors.header[0].code).to.equal('ESEREQ');
+        });
+
+        it('invalid path parameter', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets/abc' });
+            expect(result.errors.path[0].code).to.equal('ESETYPE');
+            expect(result.errors.path[0].parameter).to.equal('id');
+        });
+
+        it('malformed path parameter encoding', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets/%E0%A4%A' });
+            expect(result.errors.path.length).to.equal(1);
+            expect(result.errors.path[0].code).to.equal('ESEENCD');
+            expect(result.errors.path[0].parameter).to.equal('id');
+            expect(result.errors.path[0].message).to.equal('Path parameter id is not a valid URI component: %E0%A4%A');
+        });
+
+        it('allows empty value', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets?verbose', headers: headers });
+            expect(result.errors).to.equal(null);
+            expect(result.params.query.verbose).to.equal('');
+        });
+
+        it('rejects empty value', () => {
+            const result = Document(api).request({ method: 'get', path: '/api/pets?limit=', headers: headers });
+            expect(result.errors.query[0].code).to.equal('ESEEMPT');
+        });
+
+        it('validates body', () => {
+            const result = Document(api, { enforce: { required: true } }).request({ method: 'post', path: '/api/pets', body: { id: 1 } });
+            const codes = result.errors.body.map(err => err.code).sort();
+            expect(codes).to.deep.equal(['ESEREAD', 'ESEREQ']);
+            expect(result.errors.body[0].in).to.equal('body');
+        });
+
+        it('body must be complete', () => {
+            const doc = Document({
+                swagger: '2.0',
+                info: { title: 'Numbers', version: '1.0.0' },
+                paths: {
+                    '/numbers': {
+                        post: {
+                            parameters: [
+                                { name: 'body', in: 'body', required: true, schema: { type: 'object', properties: { n: { type: 'number' } }, required: ['n'] } }
+                            ],
+                            responses: { 201: { description: 'Created' } }
+                        }
+                    }
+                }
+            });
+            const result = doc.request({ method: 'post', path: '/numbers', body: {} });
+            expect(result.errors.body.map(err => err.code)).to.deep.equal(['ESEREQ']);
+            expect(doc.request({ method: 'post', path: '/numbers', body: { n: 1 } }).errors).to.equal(null);
+        });
+
+        it('missing required body', () => {
+            const result = Document(api).request({ method: 'post', path: '/api/pets' });
+            expect(result.errors.body[0].code).to.equal('ESEREQ');
+        });
+
+        it('returns body', () => {
+            const body = { name: 'Mittens' };
+            const result = Document(api).request({ method: 'post', path: '/api/pets', body: body });
+            expect(result.errors).to.equal(null);
+            expect(result.params.body).to.equal(body);
+        });
+
+        it('validates form data', () => {
+            const result = Document(api).request({ method: 'post', path: '/api/files', body: {} });
+            expect(result.errors.formData[0].code).to.equal('ESEREQ');
+        });
+
+        it('path outside of base path', () => {
+            expect(code(() => Document(api).request({ method: 'get', path: '/pets' }))).to.equal('ESEPATH');
+        });
+
+        it('undefined path', () => {
+            expect(code(() => Document(api).request({ method: 'get', path: '/api/dogs' }))).to.equal('ESEPATH');
+        });
+
+        it('undefined method', () => {
+            expect(code(() => Document(api).request({ method: 'delete', path: '/api/pets' }))).to.equal('ESEMTHD');
+        });
+
+    });
+
+});
+
+function code(callback) {
+    try {
+        callback();
+    } catch (e) {
+        return e.code;
+    }
+    throw Error('Expected an error to be thrown but was not.');
+}
\ No newline at end of file
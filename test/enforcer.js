@@ -19,6 +19,7 @@ const canProxy      = require('../bin/can-proxy');
 const expect        = require('chai').expect;
 const enforcer      = require('../bin/enforcer');
 const schemas       = require('../bin/schemas');
+const ValidationError = require('../bin/validation-error');
 
 describe('enforcer', () => {
     const options = schemas.enforcer.normalize();
@@ -505,6 +506,12 @@ describe('enforcer', () => {
                         expect(code(() => enforcer(schema, {}, options).enforce([1, 2, 1]))).to.equal('ESEUNIQ');
                     });
 
+                    it('init unique with falsy items', () => {
+                        expect(code(() => enforcer(schema, {}, options).enforce([0, 1, 0]))).to.equal('ESEUNIQ');
+                        const booleans = { type: 'array', uniqueItems: true, items: { type: 'boolean' } };
+                        expect(enforcer(booleans, {}, options).errors([false, true, false]).length).to.equal(1);
+                    });
+
                     it('can add unique', () => {
                         const ar = enforcer(schema, {}, options).enforce([]);
                         expect(() => ar.push(1)).not.to.throw(Error);
@@ -516,6 +523,11 @@ describe('enforcer', () => {
                         expect(() => ar.push(1)).to.throw(Error);
                     });
 
+                    it('cannot add duplicate falsy item', () => {
+                        const ar = enforcer(schema, {}, options).enforce([0]);
+                        expect(code(() => ar.push(0))).to.equal('ESEUNIQ');
+                    });
+
                     it('can add again a popped item', () => {
                         const ar = enforcer(schema, {}, options).enforce([]);
                         ar.push(1);
@@ -665,6 +677,11 @@ describe('enforcer', () => {
                         expect(code(() => o.baz = 'abc')).to.equal('ESETYPE');
                     });
 
+                    it('additional properties allowed by true', () => {
+                        const o = enforcer({ type: 'object', additionalProperties: true }, {}, options).enforce({ a: { b: 1 } });
+                        expect(() => o.c = { d: 2 }).not.to.throw(Error);
+                    });
+
                 });
 
                 describe('required properties', () => {
@@ -800,6 +817,95 @@ describe('enforcer', () => {
 
             });
 
+            describe('error locations', () => {
+                const schema = {
+                    type: 'object',
+                    properties: {
+                        a: {
+                            type: 'object',
+                            properties: {
+                                b: {
+                                    type: 'array',
+                                    maxItems: 6,
+                                    items: {
+                                        type: 'object',
+                                        properties: { c: { type: 'number' } },
+                                        required: ['c']
+                                    }
+                                }
+                            }
+                        }
+                    }
+                };
+                let o;
+
+                beforeEach(() => {
+                    const opts = Object.assign({}, options, { enforce: { required: true } });
+                    o = enforcer(schema, {}, opts).enforce({ a: { b: [ { c: 0 }, { c: 1 }, { c: 2 }, { c: 3 } ] } });
+                });
+
+                it('set', () => {
+                    expect(at(() => o.a.b[3].c = 'bad')).to.equal('/a/b/3/c');
+                });
+
+                it('set array item', () => {
+                    expect(at(() => o.a.b[1] = { c: 'bad' })).to.equal('/a/b/1/c');
+                });
+
+                it('delete', () => {
+                    expect(at(() => delete o.a.b[2].c)).to.equal('/a/b/2/c');
+                });
+
+                it('push', () => {
+                    expect(at(() => o.a.b.push({ c: 4 }, { c: 'bad' }))).to.equal('/a/b/5/c');
+                });
+
+                it('push too many', () => {
+                    expect(at(() => o.a.b.push({ c: 4 }, { c: 5 }, { c: 6 }))).to.equal('/a/b');
+                });
+
+                it('splice', () => {
+                    expect(at(() => o.a.b.splice(-1, 0, { c: 'bad' }))).to.equal('/a/b/3/c');
+                });
+
+                it('fill', () => {
+                    expect(at(() => o.a.b.fill({ c: 'bad' }, 2))).to.equal('/a/b/2/c');
+                });
+
+                it('after shift', () => {
+                    o.a.b.shift();
+                    expect(at(() => o.a.b[0].c = 'bad')).to.equal('/a/b/0/c');
+                });
+
+                it('after unshift', () => {
+                    o.a.b.unshift({ c: 5 });
+                    expect(at(() => o.a.b[1].c = 'bad')).to.equal('/a/b/1/c');
+                });
+
+                it('after splice', () => {
+                    const item = o.a.b[3];
+                    o.a.b.splice(1, 1);
+                    expect(at(() => item.c = 'bad')).to.equal('/a/b/2/c');
+                });
+
+                it('of removed items', () => {
+                    const removed = o.a.b.splice(1, 2);
+                    expect(at(() => removed[1].c = 'bad')).to.equal('/1/c');
+                });
+
+                it('after sort', () => {
+                    const item = o.a.b[0];
+                    o.a.b.sort((x, y) => y.c - x.c);
+                    expect(at(() => item.c = 'bad')).to.equal('/a/b/3/c');
+                });
+
+                it('escapes property names', () => {
+                    const value = enforcer({ type: 'object', additionalProperties: { type: 'object', additionalProperties: { type: 'number' } } }, {}, options).enforce({ 'a/b': {} });
+                    expect(at(() => value['a/b'].c = 'bad')).to.equal('/a~1b/c');
+                });
+
+            });
+
             describe('number', () => {
 
                 it('valid below maximum', () => {
@@ -862,6 +968,17 @@ describe('enforcer', () => {
                     expect(code(() => enforcer(schema, {}, options).enforce(5))).to.equal('ESENMULT');
                 });
 
+                it('valid decimal multiple of', () => {
+                    const schema = { type: 'number', multipleOf: 0.01 };
+                    expect(() => enforcer(schema, {}, options).enforce(1.23)).not.to.throw(Error);
+                    expect(() => enforcer({ type: 'number', multipleOf: 0.1 }, {}, options).enforce(0.3)).not.to.throw(Error);
+                });
+
+                it('invalid decimal multiple of', () => {
+                    const schema = { type: 'number', multipleOf: 0.01 };
+                    expect(code(() => enforcer(schema, {}, options).enforce(1.235))).to.equal('ESENMULT');
+                });
+
                 it('valid integer', () => {
                     const schema = { type: 'integer' };
                     expect(() => enforcer(schema, {}, options).enforce(5)).not.to.throw(Error);
@@ -957,6 +1074,38 @@ describe('enforcer', () => {
                     expect(code(() => enforcer(schema, {}, options).enforce('2000-01-01T00:00:90.000Z'))).to.equal('ESEDATE');
                 });
 
+                it('valid offset', () => {
+                    expect(() => enforcer(schema, {}, options).enforce('2000-01-01T10:00:00+02:00')).not.to.throw(Error);
+                });
+
+                it('invalid offset hour', () => {
+                    expect(code(() => enforcer(schema, {}, options).enforce('2000-01-01T10:00:00+24:00'))).to.equal('ESEDATE');
+                });
+
+                it('lowercase designators', () => {
+                    expect(() => enforcer(schema, {}, options).enforce('2000-01-01t00:00:00z')).not.to.throw(Error);
+                });
+
+                it('arbitrary fractional digits', () => {
+                    expect(() => enforcer(schema, {}, options).enforce('2000-01-01T00:00:00.123456789Z')).not.to.throw(Error);
+                });
+
+                it('valid leap second', () => {
+                    expect(() => enforcer(schema, {}, options).enforce('2016-12-31T23:59:60Z')).not.to.throw(Error);
+                });
+
+                it('valid leap second with offset', () => {
+                    expect(() => enforcer(schema, {}, options).enforce('2017-01-01T01:59:60+02:00')).not.to.throw(Error);
+                });
+
+                it('invalid leap second', () => {
+                    expect(code(() => enforcer(schema, {}, options).enforce('2016-12-31T10:59:60Z'))).to.equal('ESEDATE');
+                });
+
+                it('missing offset', () => {
+                    expect(code(() => enforcer(schema, {}, options).enforce('2000-01-01T00:00:00'))).to.equal('ESEFRMT');
+                });
+
                 it('invalid characters', () => {
                     expect(code(() => enforcer(schema, {}, options).enforce('abc'))).to.equal('ESEFRMT');
                 });
@@ -1091,6 +1240,19 @@ describe('enforcer', () => {
                 expect(() => enforcer({}, {})).not.to.throw(Error);
             });
 
+            it('invalid schema throws error', () => {
+                expect(code(() => enforcer({ type: 'string', maxLenght: 5 }))).to.equal('ESESCHM');
+            });
+
+            it('invalid definition throws error', () => {
+                const definitions = { Pet: { type: 'object', required: 'name' } };
+                expect(code(() => enforcer({}, definitions))).to.equal('ESESCHM');
+            });
+
+            it('invalid schema with lint disabled does not throw error', () => {
+                expect(() => enforcer({ type: 'string', maxLenght: 5 }, {}, { lint: false })).not.to.throw(Error);
+            });
+
         });
 
     });
@@ -1109,6 +1271,34 @@ describe('enforcer', () => {
             expect(code(() => enforcer(schema, {}, options).validate(15))).to.equal('ESEMLTI');
         });
 
+        it('throws a validation error with every error', () => {
+            const options = { enforce: true };
+            const schema = { type: 'number', maximum: 10, multipleOf: 2 };
+            try {
+                enforcer(schema, {}, options).validate(15);
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err).to.be.instanceof(ValidationError);
+                expect(err).to.be.instanceof(Error);
+                expect(err.stack).to.match(/^ValidationError: /);
+                expect(err.errors.map(err => err.code)).to.deep.equal(['ESENMAX', 'ESENMULT']);
+            }
+        });
+
+        it('throws a validation error with the details of a single error', () => {
+            const options = { enforce: true };
+            const schema = { type: 'number', maximum: 10 };
+            try {
+                enforcer(schema, {}, options).validate(15);
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err).to.be.instanceof(ValidationError);
+                expect(err.code).to.equal('ESENMAX');
+                expect(err.keyword).to.equal('maximum');
+                expect(err.errors.length).to.equal(1);
+            }
+        });
+
         it('don\'t validate all', () => {
             const options = { enforce: false };
             const schema = { type: 'number', maximum: 10 };
@@ -1134,6 +1324,31 @@ describe('enforcer', () => {
             expect(errors.length).to.equal(2);
         });
 
+        it('describes each error', () => {
+            const definitions = { Pet: { type: 'object', properties: { name: { type: 'string', maxLength: 3 } } } };
+            const schema = { type: 'array', items: { $ref: '#/definitions/Pet' } };
+            const errors = enforcer(schema, definitions).errors([ { name: 'Fluffy' } ]);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESESMAX');
+            expect(errors[0].keyword).to.equal('maxLength');
+            expect(errors[0].instancePath).to.equal('/0/name');
+            expect(errors[0].schemaPath).to.equal('#/definitions/Pet/properties/name/maxLength');
+            expect(errors[0].value).to.equal('Fluffy');
+            expect(errors[0].params).to.deep.equal({ limit: 3 });
+        });
+
+        it('describes errors of the root schema', () => {
+            const errors = enforcer({ type: 'object', properties: { a: { type: 'integer' } } }).errors({ a: 'x', b: 1 });
+            expect(errors.map(err => err.schemaPath)).to.deep.equal(['#/properties/a/type', '#/additionalProperties']);
+            expect(errors[1].params).to.deep.equal({ additionalProperty: 'b' });
+        });
+
+        it('escapes property names in the error paths', () => {
+            const schema = { type: 'object', properties: { 'c~d': { type: 'integer' }, 'e/f': { type: 'string' } }, required: ['e/f'] };
+            const errors = enforcer(schema, {}, { enforce: { required: true } }).errors({ 'a/b': 1, 'c~d': 'x' });
+            expect(errors.map(err => err.instancePath).sort()).to.deep.equal(['/a~1b', '/c~0d', '/e~1f']);
+        });
+
         it('don\'t validate all', () => {
             const options = { enforce: false };
             const schema = { type: 'number', maximum: 10 };
@@ -1236,6 +1451,17 @@ describe('enforcer', () => {
                 expect(errors[0].code).to.equal('ESEHTNC');
             });
 
+            it('subtype does not extend discriminator schema', () => {
+                const defs = Object.assign({}, definitions, { Rock: { type: 'object' } });
+                const value = {
+                    classification: 'Rock',
+                    warmBlooded: false
+                };
+                const errors = enforcer(definitions.Animal, defs, options).errors(value);
+                expect(errors.length).to.equal(1);
+                expect(errors[0].code).to.equal('ESEHTNC');
+            });
+
             it('valid two layer discriminator', () => {
                 const value = {
                     classification: 'Pet',
@@ -1248,12 +1474,650 @@ describe('enforcer', () => {
                 expect(errors.length).to.equal(0);
             });
 
+            it('subtype enforcer accepts its own subtype', () => {
+                const value = {
+                    classification: 'Pet',
+                    petType: 'Cat',
+                    warmBlooded: true,
+                    name: 'Mittens',
+                    huntingSkill: 'mean'
+                };
+                const errors = enforcer(definitions.Cat, definitions, options).errors(value);
+                expect(errors.length).to.equal(0);
+            });
+
+            it('subtype enforcer rejects a sibling subtype', () => {
+                const value = {
+                    classification: 'Pet',
+                    petType: 'Dog',
+                    warmBlooded: true,
+                    name: 'Mittens',
+                    huntingSkill: 'mean'
+                };
+                const errors = enforcer(definitions.Cat, definitions, options).errors(value);
+                expect(errors.map(err => err.code)).to.deep.equal(['ESEHTNC']);
+                expect(errors[0].message).to.match(/Definition "Dog" for discriminator petType/);
+            });
+
+        });
+
+    });
+
+    describe('discriminator mapping', () => {
+        const definitions = {
+            Pet: {
+                type: 'object',
+                discriminator: {
+                    propertyName: 'petType',
+                    mapping: { cat: 'Cat', dog: '#/definitions/Dog' }
+                },
+                properties: {
+                    petType: { type: 'string' }
+                },
+                required: ['petType']
+            },
+            Cat: {
+                allOf: [
+                    { $ref: '#/definitions/Pet' },
+                    { properties: { huntingSkill: { type: 'string' } } }
+                ]
+            },
+            Dog: {
+                allOf: [
+                    { $ref: '#/definitions/Pet' },
+                    { properties: { packSize: { type: 'integer' } } }
+                ]
+            }
+        };
+        const schema = { $ref: '#/definitions/Pet' };
+
+        it('maps to definition name', () => {
+            expect(enforcer(schema, definitions).errors({ petType: 'cat', huntingSkill: 'lazy' })).to.deep.equal([]);
+        });
+
+        it('maps to definition pointer', () => {
+            const errors = enforcer(schema, definitions).errors({ petType: 'dog', packSize: 'a' });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESETYPE');
+        });
+
+        it('unmapped value uses definition name', () => {
+            expect(enforcer(schema, definitions).errors({ petType: 'Cat', huntingSkill: 'lazy' })).to.deep.equal([]);
+        });
+
+        it('x-discriminator-mapping', () => {
+            const defs = Object.assign({}, definitions, {
+                Pet: {
+                    type: 'object',
+                    discriminator: 'petType',
+                    'x-discriminator-mapping': { kitty: 'Cat' },
+                    properties: { petType: { type: 'string' } },
+                    required: ['petType']
+                }
+            });
+            const errors = enforcer(schema, defs).errors({ petType: 'kitty', packSize: 1 });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESENPER');
+        });
+
+        if (canProxy.proxiable) {
+
+            it('builds mapped subtype with defaults', () => {
+                const defs = Object.assign({}, definitions, {
+                    Cat: {
+                        allOf: [
+                            { $ref: '#/definitions/Pet' },
+                            { properties: { huntingSkill: { type: 'string', default: 'lazy' } } }
+                        ]
+                    }
+                });
+                const o = enforcer(schema, defs, { useDefaults: true }).enforce({ petType: 'cat' });
+                expect(o.huntingSkill).to.equal(undefined);
+                const built = enforcer({ type: 'object', properties: { pet: schema } }, defs, { useDefaults: true }).enforce({});
+                built.pet = { petType: 'cat' };
+                expect(built.pet).to.deep.equal({ petType: 'cat', huntingSkill: 'lazy' });
+            });
+
+        }
+
+    });
+
+    describe('discriminator change', () => {
+        const definitions = {
+            Pet: {
+                type: 'object',
+                discriminator: 'petType',
+                properties: {
+                    petType: { type: 'string' }
+                },
+                required: ['petType']
+            },
+            Cat: {
+                allOf: [
+                    { $ref: '#/definitions/Pet' },
+                    {
+                        properties: {
+                            owner: {
+                                type: 'object',
+                                properties: { name: { type: 'string' } }
+                            }
+                        }
+                    }
+                ]
+            },
+            Dog: {
+                allOf: [
+                    { $ref: '#/definitions/Pet' },
+                    {
+                        properties: {
+                            owner: {
+                                type: 'object',
+                                properties: { age: { type: 'number' } }
+                            },
+                            packSize: { type: 'integer', default: 1 }
+                        }
+                    }
+                ]
+            }
+        };
+        const schema = { $ref: '#/definitions/Pet' };
+
+        if (canProxy.proxiable) {
+
+            it('wraps subtype properties', () => {
+                const o = enforcer(schema, definitions).enforce({ petType: 'Cat', owner: {} });
+                expect(code(() => o.owner.name = 5)).to.equal('ESETYPE');
+            });
+
+            it('re-wraps nested values with the new subtype', () => {
+                const o = enforcer(schema, definitions).enforce({ petType: 'Cat', owner: {} });
+                o.petType = 'Dog';
+                o.owner.age = 5;
+                expect(code(() => o.owner.name = 'Bob')).to.equal('ESENPER');
+                expect(o).to.deep.equal({ petType: 'Dog', owner: { age: 5 } });
+            });
+
+            it('rejects change when existing values do not fit', () => {
+                const o = enforcer(schema, definitions).enforce({ petType: 'Cat', owner: { name: 'Bob' } });
+                expect(code(() => o.petType = 'Dog')).to.equal('ESENPER');
+                expect(o.petType).to.equal('Cat');
+                o.owner.name = 'Jan';
+            });
+
+            it('rejects unknown subtype', () => {
+                const o = enforcer(schema, definitions).enforce({ petType: 'Cat' });
+                expect(code(() => o.petType = 'Fish')).to.equal('ESEHTNC');
+                expect(o.petType).to.equal('Cat');
+            });
+
+            it('rejects a sibling subtype for a subtype enforcer', () => {
+                const o = enforcer({ $ref: '#/definitions/Cat' }, definitions).enforce({ petType: 'Cat' });
+                expect(code(() => o.petType = 'Dog')).to.equal('ESEHTNC');
+                expect(o.petType).to.equal('Cat');
+            });
+
+            it('applies new subtype defaults', () => {
+                const o = enforcer(schema, definitions, { useDefaults: true }).enforce({ petType: 'Cat' });
+                o.petType = 'Dog';
+                expect(o).to.deep.equal({ petType: 'Dog', packSize: 1 });
+            });
+
+        }
+
+    });
+
+    describe('composition', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string' }
+            },
+            oneOf: [
+                {
+                    properties: {
+                        age: { type: 'number', default: 1 }
+                    },
+                    required: ['age']
+                },
+                {
+                    properties: {
+                        color: { type: 'string' },
+                        owner: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' }
+                            }
+                        }
+                    },
+                    required: ['color']
+                }
+            ]
+        };
+        const options = { enforce: { required: true } };
+
+        it('valid oneOf', () => {
+            expect(enforcer(schema, {}, options).errors({ name: 'a', age: 1 })).to.deep.equal([]);
+        });
+
+        it('no oneOf match explains each schema', () => {
+            const errors = enforcer(schema, {}, options).errors({ name: 'a', age: 'x' });
+            expect(errors.length).to.equal(2);
+            expect(errors[0].code).to.equal('ESEONEOF');
+            expect(errors[0].message).to.match(/\[0\] Invalid type/);
+            expect(errors[0].message).to.match(/\[1\] .*Property not allowed: age/);
+        });
+
+        it('more than one oneOf match', () => {
+            const errors = enforcer({ oneOf: [ { type: 'number' }, { type: 'integer' } ] }).errors(1);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEONEOF');
+        });
+
+        it('anyOf', () => {
+            const e = enforcer({ anyOf: [ { type: 'string' }, { type: 'number', minimum: 5 } ] });
+            expect(e.errors('a')).to.deep.equal([]);
+            expect(e.errors(6)).to.deep.equal([]);
+            const errors = e.errors(2);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEANYOF');
+        });
+
+        it('anyOf object with the properties of both branches', () => {
+            const contact = {
+                type: 'object',
+                anyOf: [
+                    { properties: { email: { type: 'string' } }, required: ['email'] },
+                    { properties: { phone: { type: 'string' } }, required: ['phone'] }
+                ]
+            };
+            const e = enforcer(contact, {}, options);
+            expect(e.errors({ email: 'a', phone: '1' })).to.deep.equal([]);
+            expect(e.errors({ email: 'a' })).to.deep.equal([]);
+            expect(e.errors({ email: 'a', fax: '2' })[0].code).to.equal('ESEANYOF');
+            expect(enforcer({ type: 'object', oneOf: contact.anyOf }, {}, options).errors({ email: 'a', phone: '1' })[0].code).to.equal('ESEONEOF');
+        });
+
+        it('not', () => {
+            const e = enforcer({ type: 'string', not: { enum: ['a'] } });
+            expect(e.errors('b')).to.deep.equal([]);
+            expect(e.errors('a')[0].code).to.equal('ESENOT');
+        });
+
+        it('inherited oneOf', () => {
+            const e = enforcer({ allOf: [ schema, { properties: { id: { type: 'number' } } } ] }, {}, options);
+            expect(e.errors({ id: 1, color: 'red' })).to.deep.equal([]);
+            expect(e.errors({ id: 1 })[0].code).to.equal('ESEONEOF');
+        });
+
+        if (canProxy.proxiable) {
+
+            it('enforces branch property', () => {
+                const o = enforcer(schema).enforce({ color: 'red' });
+                expect(code(() => o.color = 5)).to.equal('ESEONEOF');
+            });
+
+            it('branch is decided as the value is built', () => {
+                const o = enforcer(schema).enforce({});
+                o.color = 'red';
+                o.owner = { name: 'Bob' };
+                expect(code(() => o.owner.name = 5)).to.equal('ESETYPE');
+                expect(code(() => o.age = 1)).to.equal('ESEONEOF');
+            });
+
+            it('applies branch defaults', () => {
+                const o = enforcer({ type: 'object', properties: { pet: schema } }, {}, { useDefaults: true }).enforce({});
+                o.pet = { name: 'a' };
+                expect(o.pet).to.deep.equal({ name: 'a', age: 1 });
+            });
+
+            it('anyOf object built with the properties of both branches', () => {
+                const contact = {
+                    type: 'object',
+                    anyOf: [
+                        { properties: { email: { type: 'string' } }, required: ['email'] },
+                        { properties: { phone: { type: 'string' } }, required: ['phone'] }
+                    ]
+                };
+                const o = enforcer(contact).enforce({});
+                o.email = 'a';
+                o.phone = '1';
+                expect(o).to.deep.equal({ email: 'a', phone: '1' });
+                expect(code(() => o.phone = 1)).to.equal('ESEANYOF');
+            });
+
+            it('cannot delete to match no branch', () => {
+                const o = enforcer(schema, {}, options).enforce({ color: 'red' });
+                expect(code(() => delete o.color)).to.equal('ESEREQ');
+            });
+
+        }
+
+    });
+
+    describe('nullable', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                age: { type: 'number' },
+                name: { type: 'string', 'x-nullable': true },
+                owner: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        name: { type: 'string' }
+                    }
+                },
+                tags: {
+                    type: 'array',
+                    items: { type: 'string', 'x-nullable': true }
+                }
+            }
+        };
+
+        it('allows null for x-nullable', () => {
+            expect(enforcer(schema).errors({ name: null })).to.deep.equal([]);
+        });
+
+        it('allows null for nullable', () => {
+            expect(enforcer(schema).errors({ owner: null })).to.deep.equal([]);
         });
 
+        it('allows null array item', () => {
+            expect(enforcer(schema).errors({ tags: [ 'a', null ] })).to.deep.equal([]);
+        });
+
+        it('does not allow null if not nullable', () => {
+            const errors = enforcer(schema).errors({ age: null });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESETYPE');
+        });
+
+        it('nullable enum allows null', () => {
+            const e = enforcer({ type: 'string', enum: ['a'], 'x-nullable': true });
+            expect(e.errors(null)).to.deep.equal([]);
+        });
+
+        if (canProxy.proxiable) {
+
+            it('can set null property', () => {
+                const o = enforcer(schema).enforce({ owner: { name: 'Bob' } });
+                o.name = null;
+                o.owner = null;
+                expect(o).to.deep.equal({ name: null, owner: null });
+            });
+
+            it('can add null array item', () => {
+                const o = enforcer(schema).enforce({ tags: [] });
+                o.tags.push(null);
+                o.tags[1] = null;
+                expect(o.tags).to.deep.equal([ null, null ]);
+            });
+
+            it('cannot set null if not nullable', () => {
+                const o = enforcer(schema).enforce({});
+                expect(code(() => o.age = null)).to.equal('ESETYPE');
+            });
+
+            it('does not auto format null', () => {
+                const o = enforcer(schema, {}, { autoFormat: true }).enforce({});
+                o.name = null;
+                expect(o.name).to.equal(null);
+            });
+
+            it('uses null default', () => {
+                const s = { type: 'object', properties: { owner: { type: 'object', 'x-nullable': true, default: null } } };
+                const o = enforcer(s, {}, { useDefaults: true }).enforce();
+                expect(o).to.deep.equal({ owner: null });
+            });
+
+        }
+
+    });
+
+    describe('direction', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                id: { type: 'number', readOnly: true },
+                name: { type: 'string' },
+                password: { type: 'string', 'x-writeOnly': true },
+                pin: { type: 'string', writeOnly: true }
+            },
+            required: ['id', 'name', 'password']
+        };
+
+        it('ignores read only and write only without direction', () => {
+            const e = enforcer(schema);
+            expect(e.errors({ id: 1, name: 'a', password: 'b', pin: 'c' })).to.deep.equal([]);
+        });
+
+        it('rejects read only in request', () => {
+            const errors = enforcer(schema, {}, { direction: 'request' }).errors({ id: 1, name: 'a' });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEREAD');
+        });
+
+        it('allows write only in request', () => {
+            const e = enforcer(schema, {}, { direction: 'request' });
+            expect(e.errors({ name: 'a', password: 'b', pin: 'c' })).to.deep.equal([]);
+        });
+
+        it('read only is not required in request', () => {
+            const options = { direction: 'request', enforce: { required: true } };
+            expect(enforcer(schema, {}, options).errors({ name: 'a', password: 'b' })).to.deep.equal([]);
+        });
+
+        it('can disable read only enforcement', () => {
+            const options = { direction: 'request', enforce: { readOnly: false } };
+            expect(enforcer(schema, {}, options).errors({ id: 1, name: 'a' })).to.deep.equal([]);
+        });
+
+        it('does not report stripped read only', () => {
+            const options = { direction: 'request', stripReadOnly: true };
+            expect(enforcer(schema, {}, options).errors({ id: 1, name: 'a' })).to.deep.equal([]);
+        });
+
+        it('rejects write only in response', () => {
+            const errors = enforcer(schema, {}, { direction: 'response' }).errors({ id: 1, name: 'a', password: 'b', pin: 'c' });
+            expect(errors.length).to.equal(2);
+            expect(errors[0].code).to.equal('ESEWRIT');
+            expect(errors[1].code).to.equal('ESEWRIT');
+        });
+
+        it('read only can be required in response', () => {
+            const options = { direction: 'response', enforce: { required: true } };
+            const errors = enforcer(schema, {}, options).errors({ name: 'a' });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEREQ');
+        });
+
+        it('invalid direction', () => {
+            expect(() => enforcer(schema, {}, { direction: 'sideways' })).to.throw(Error);
+        });
+
+        if (canProxy.proxiable) {
+
+            it('cannot set read only in request', () => {
+                const o = enforcer(schema, {}, { direction: 'request' }).enforce({});
+                expect(code(() => o.id = 1)).to.equal('ESEREAD');
+            });
+
+            it('cannot set write only in response', () => {
+                const o = enforcer(schema, {}, { direction: 'response' }).enforce({});
+                expect(code(() => o.password = 'b')).to.equal('ESEWRIT');
+            });
+
+            it('strips read only in request', () => {
+                const options = { direction: 'request', stripReadOnly: true };
+                const o = enforcer(schema, {}, options).enforce({ id: 1, name: 'a' });
+                o.id = 2;
+                expect(o).to.deep.equal({ name: 'a' });
+            });
+
+        }
+
+    });
+
+    describe('references', () => {
+        const definitions = {
+            Address: {
+                type: 'object',
+                properties: {
+                    street: { type: 'string' },
+                    zip: { type: 'string', pattern: '^\\d{5}$' }
+                }
+            },
+            Pet: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    address: { $ref: '#/definitions/Address' }
+                },
+                required: ['name']
+            },
+            Cat: {
+                allOf: [
+                    { $ref: '#/definitions/Pet' },
+                    {
+                        type: 'object',
+                        properties: {
+                            lives: { type: 'integer', maximum: 9, default: 9 }
+                        }
+                    }
+                ]
+            }
+        };
+
+        it('validates referenced property', () => {
+            const errors = enforcer(definitions.Pet, definitions).errors({ name: 'Mittens', address: { zip: 'abc' } });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESESPAT');
+        });
+
+        it('validates referenced allOf', () => {
+            const errors = enforcer(definitions.Cat, definitions).errors({ name: 'Mittens', lives: 10 });
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESENMAX');
+        });
+
+        it('validates top level reference', () => {
+            const schema = { $ref: '#/definitions/Address' };
+            expect(code(() => enforcer(schema, definitions).validate({ zip: 1 }))).to.equal('ESETYPE');
+        });
+
+        it('unresolvable reference', () => {
+            const schema = { $ref: '#/definitions/Dog' };
+            expect(code(() => enforcer(schema, definitions))).to.equal('ESEREF');
+        });
+
+        if (canProxy.proxiable) {
+
+            it('enforces referenced property', () => {
+                const o = enforcer(definitions.Pet, definitions).enforce({ name: 'Mittens', address: {} });
+                expect(code(() => o.address.zip = 'abc')).to.equal('ESESPAT');
+            });
+
+            it('enforces with referenced defaults', () => {
+                const o = enforcer(definitions.Cat, definitions, { useDefaults: true }).enforce();
+                expect(o).to.deep.equal({ lives: 9 });
+            });
+
+        }
+
+    });
+
+    describe('circular', () => {
+        const definitions = {
+            Category: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', default: 'unnamed' },
+                    parent: { $ref: '#/definitions/Category' },
+                    children: {
+                        type: 'array',
+                        items: { $ref: '#/definitions/Category' }
+                    }
+                }
+            }
+        };
+        const schema = { $ref: '#/definitions/Category' };
+
+        it('validates recursive schema', () => {
+            const value = {
+                name: 'a',
+                children: [
+                    { name: 'b', children: [ { name: 1 } ] }
+                ]
+            };
+            const errors = enforcer(schema, definitions).errors(value);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESETYPE');
+        });
+
+        it('circular value', () => {
+            const value = { name: 'a', children: [] };
+            value.children.push({ name: 'b', parent: value });
+            const errors = enforcer(schema, definitions).errors(value);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESECIRC');
+        });
+
+        it('shared value is not circular', () => {
+            const shared = { name: 'b' };
+            const value = { name: 'a', parent: shared, children: [ shared ] };
+            expect(enforcer(schema, definitions).errors(value).length).to.equal(0);
+        });
+
+        if (canProxy.proxiable) {
+
+            it('enforces recursive schema', () => {
+                const o = enforcer(schema, definitions).enforce({ name: 'a', children: [] });
+                o.children.push({ name: 'b', children: [] });
+                expect(code(() => o.children[0].children.push({ name: 1 }))).to.equal('ESETYPE');
+            });
+
+            it('builds defaults for recursive schema', () => {
+                const options = { useDefaults: true };
+                const o = enforcer(schema, definitions, options).enforce();
+                expect(o).to.deep.equal({ name: 'unnamed' });
+            });
+
+            it('cannot enforce circular value', () => {
+                const value = { name: 'a' };
+                value.parent = value;
+                expect(code(() => enforcer(schema, definitions).enforce(value))).to.equal('ESECIRC');
+            });
+
+            it('cannot set circular value', () => {
+                const o = enforcer(schema, definitions).enforce({ name: 'a', children: [] });
+                expect(code(() => o.parent = o)).to.equal('ESECIRC');
+            });
+
+            it('cannot set nested circular value', () => {
+                const o = enforcer(schema, definitions).enforce({ name: 'a', children: [ { name: 'b' } ] });
+                expect(code(() => o.children[0].parent = o)).to.equal('ESECIRC');
+            });
+
+            it('cannot push circular value', () => {
+                const o = enforcer(schema, definitions).enforce({ name: 'a', children: [] });
+                expect(code(() => o.children.push({ name: 'b', children: o.children }))).to.equal('ESECIRC');
+            });
+
+        }
+
     });
 
 });
 
+function at(callback) {
+    try {
+        callback();
+    } catch (e) {
+        return e.at;
+    }
+    throw Error('Expected an error to be thrown but was not.');
+}
+
 function code(callback) {
     try {
         callback();
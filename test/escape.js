@@ -0,0 +1,35 @@
+/**
+ *  @license
+ *    Copyright 2016 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const escape        = require('../bin/escape');
+const expect        = require('chai').expect;
+
+describe('escape', () => {
+
+    it('plain key', () => {
+        expect(escape('name')).to.equal('name');
+    });
+
+    it('number', () => {
+        expect(escape(2)).to.equal('2');
+    });
+
+    it('tilde and slash', () => {
+        expect(escape('/a~b/')).to.equal('~1a~0b~1');
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const applyTemplate = require('../bin/apply-template');
+const canProxy      = require('../bin/can-proxy');
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+const formats       = require('../bin/formats');
+const random        = require('../bin/random');
+
+describe('formats', () => {
+    const hex = {
+        expected: 'a hexadecimal string',
+        from: value => parseInt(value, 16),
+        is: value => /^[0-9a-f]+$/.test(value),
+        to: value => typeof value === 'number' ? value.toString(16) : String(value)
+    };
+
+    afterEach(() => formats.reset());
+
+    it('has built in formats', () => {
+        expect(formats.get('date')).to.be.an('object');
+        expect(formats.get('date-time').type).to.equal('string');
+    });
+
+    it('get requires matching type', () => {
+        expect(formats.get('date', 'integer')).to.equal(undefined);
+    });
+
+    it('requires an is function', () => {
+        expect(() => formats.define('hex', {})).to.throw(Error);
+    });
+
+    it('validates defined format', () => {
+        formats.define('hex', hex);
+        const errors = enforcer({ type: 'string', format: 'hex' }).errors('xyz');
+        expect(errors.length).to.equal(1);
+        expect(errors[0].code).to.equal('ESEFRMT');
+        expect(errors[0].message).to.match(/a hexadecimal string/);
+    });
+
+    it('uses validate function', () => {
+        formats.define('even', {
+            type: 'integer',
+            is: () => true,
+            validate: value => value % 2 ? 'Value must be even' : undefined
+        });
+        const e = enforcer({ type: 'integer', format: 'even' });
+        expect(e.errors(2)).to.deep.equal([]);
+        expect(e.errors(3)[0].message).to.match(/must be even/);
+    });
+
+    it('can override built in format', () => {
+        formats.define('date', { is: value => value === 'today' });
+        expect(enforcer({ type: 'string', format: 'date' }).errors('today')).to.deep.equal([]);
+    });
+
+    it('can remove format', () => {
+        formats.define('hex', hex);
+        formats.remove('hex');
+        expect(enforcer({ type: 'string', format: 'hex' }).errors('xyz')).to.deep.equal([]);
+    });
+
+    it('reset restores built in formats', () => {
+        formats.define('date', { is: () => true });
+        formats.reset();
+        expect(enforcer({ type: 'string', format: 'date' }).errors('today').length).to.equal(1);
+    });
+
+    it('converts template variable', () => {
+        formats.define('hex', hex);
+        const schema = { type: 'string', format: 'hex', 'x-variable': 'value' };
+        expect(applyTemplate(schema, {}, { value: 255 })).to.equal('ff');
+    });
+
+    it('validates common string formats', () => {
+        const invalid = {
+            email: 'bob',
+            hostname: 'a..b',
+            ipv4: '1.2.3',
+            ipv6: '1.2.3.4',
+            uri: 'example',
+            uuid: '1234'
+        };
+        Object.keys(invalid).forEach(format => {
+            const errors = enforcer({ type: 'string', format: format }).errors(invalid[format]);
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEFRMT');
+            expect(errors[0].message).to.contain(formats.get(format).expected);
+        });
+    });
+
+    it('generates random string formats', () => {
+        const next = random.generator(1);
+        ['binary', 'byte', 'date', 'date-time', 'email', 'hostname', 'ipv4', 'ipv6', 'password', 'uri', 'uuid'].forEach(name => {
+            const format = formats.get(name);
+            for (let i = 0; i < 20; i++) expect(format.is(format.random(next))).to.equal(true);
+        });
+    });
+
+    it('generates random string formats within lengths', () => {
+        const next = random.generator(1);
+        const lengths = { binary: [16, 24], byte: [12, 16], email: [7, 8], hostname: [5, 6], password: [4, 6], uri: [14, 15] };
+        Object.keys(lengths).forEach(name => {
+            const format = formats.get(name);
+            for (let i = 0; i < 20; i++) {
+                const value = format.random(next, lengths[name][0], lengths[name][1]);
+                expect(format.is(value)).to.equal(true);
+                expect(value.length).to.be.within(lengths[name][0], lengths[name][1]);
+            }
+        });
+    });
+
+    it('requires random to be a function', () => {
+        expect(() => formats.define('hex', Object.assign({}, hex, { random: 'ff' }))).to.throw(Error);
+    });
+
+    it('accepts any string as password', () => {
+        expect(enforcer({ type: 'string', format: 'password' }).errors('')).to.deep.equal([]);
+    });
+
+    it('format enforcement can be disabled', () => {
+        const e = enforcer({ type: 'string', format: 'email' }, {}, { enforce: { format: false } });
+        expect(e.errors('bob')).to.deep.equal([]);
+    });
+
+    describe('numeric formats', () => {
+
+        it('int32 range', () => {
+            const e = enforcer({ type: 'integer', format: 'int32' });
+            expect(e.errors(2147483647)).to.deep.equal([]);
+            expect(e.errors(-2147483649)[0].code).to.equal('ESEFRMT');
+            expect(e.errors(Math.pow(2, 40))[0].message).to.match(/32-bit integer/);
+        });
+
+        it('int64 range', () => {
+            const e = enforcer({ type: 'integer', format: 'int64' });
+            expect(e.errors(Math.pow(2, 63))[0].code).to.equal('ESEFRMT');
+        });
+
+        it('int64 precision loss', () => {
+            const e = enforcer({ type: 'integer', format: 'int64' });
+            expect(e.errors(Number.MAX_SAFE_INTEGER)).to.deep.equal([]);
+            expect(e.errors(Math.pow(2, 60))[0].code).to.equal('ESEPREC');
+        });
+
+        it('float range', () => {
+            const e = enforcer({ type: 'number', format: 'float' });
+            expect(e.errors(3.4e38)).to.deep.equal([]);
+            expect(e.errors(-1e39)[0].code).to.equal('ESEFRMT');
+        });
+
+        it('double must be finite', () => {
+            const e = enforcer({ type: 'number', format: 'double' });
+            expect(e.errors(1e300)).to.deep.equal([]);
+            expect(e.errors(Infinity)[0].code).to.equal('ESEFRMT');
+        });
+
+        it('int64 as bigint', () => {
+            const e = enforcer({ type: 'integer', format: 'int64', maximum: 100 }, {}, { int64: 'bigint' });
+            expect(e.errors(BigInt(50))).to.deep.equal([]);
+            expect(e.errors(BigInt(500))[0].code).to.equal('ESENMAX');
+            expect(e.errors(BigInt('9223372036854775808'))[0].code).to.equal('ESEFRMT');
+        });
+
+        it('int64 as string', () => {
+            const e = enforcer({ type: 'integer', format: 'int64', multipleOf: 2 }, {}, { int64: 'string' });
+            expect(e.errors('9223372036854775806')).to.deep.equal([]);
+            expect(e.errors('9223372036854775807')[0].code).to.equal('ESENMULT');
+            expect(e.errors('abc')[0].code).to.equal('ESETYPE');
+        });
+
+        it('int64 limits compared exactly', () => {
+            const schema = { type: 'integer', format: 'int64', maximum: 9007199254740992, minimum: -9007199254740992, multipleOf: 2 };
+            const big = enforcer(schema, {}, { int64: 'bigint' });
+            expect(big.errors(BigInt('9007199254740992'))).to.deep.equal([]);
+            expect(big.errors(BigInt('9007199254740994')).map(err => err.message)).to.deep.equal(['Value 9007199254740994 over maximum 9007199254740992']);
+            expect(big.errors(BigInt('-9007199254740994'))[0].code).to.equal('ESENMIN');
+            const string = enforcer(schema, {}, { int64: 'string' });
+            expect(string.errors('9007199254740993').map(err => err.message)).to.deep.equal([
+                'Value 9007199254740993 over maximum 9007199254740992',
+                'Value 9007199254740993 not a multiple of 2'
+            ]);
+        });
+
+        it('int64 bigint not accepted by default', () => {
+            const e = enforcer({ type: 'integer', format: 'int64' });
+            expect(e.errors(BigInt(5))[0].code).to.equal('ESETYPE');
+        });
+
+    });
+
+    it('exposed on enforcer', () => {
+        expect(enforcer.formats).to.equal(formats);
+    });
+
+    if (canProxy.proxiable) {
+
+        it('auto formats int64 as string', () => {
+            const schema = { type: 'object', properties: { id: { type: 'integer', format: 'int64' } } };
+            const o = enforcer(schema, {}, { autoFormat: true, int64: 'string' }).enforce({});
+            o.id = 12;
+            expect(o.id).to.equal('12');
+        });
+
+        it('auto formats', () => {
+            formats.define('hex', hex);
+            const schema = { type: 'object', properties: { value: { type: 'string', format: 'hex' } } };
+            const o = enforcer(schema, {}, { autoFormat: true }).enforce({});
+            o.value = 255;
+            expect(o.value).to.equal('ff');
+        });
+
+    }
+
+});
\ No newline at end of file
@@ -82,6 +82,18 @@ describe('is', () => {
             expect(is.integer('a')).to.be.false;
         });
 
+        it('is negative', () => {
+            expect(is.integer('-15')).to.be.true;
+        });
+
+        it('is exponent', () => {
+            expect(is.integer('1e3')).to.be.true;
+        });
+
+        it('is negative exponent', () => {
+            expect(is.integer('1e-3')).to.be.false;
+        });
+
     });
 
     describe('number', () => {
@@ -98,6 +110,203 @@ describe('is', () => {
             expect(is.number('a')).to.be.false;
         });
 
+        it('is signed', () => {
+            expect(is.number('-1.2')).to.be.true;
+            expect(is.number('+1.2')).to.be.true;
+        });
+
+        it('is exponent', () => {
+            expect(is.number('1.5E-7')).to.be.true;
+        });
+
+        it('is missing exponent digits', () => {
+            expect(is.number('1e')).to.be.false;
+        });
+
+    });
+
+    describe('date', () => {
+
+        it('is date', () => {
+            expect(is.date('2000-02-29')).to.be.true;
+        });
+
+        it('month out of range', () => {
+            expect(is.date('2017-13-45')).to.be.false;
+        });
+
+        it('day not on the calendar', () => {
+            expect(is.date('2017-02-29')).to.be.false;
+        });
+
+    });
+
+    describe('dateTime', () => {
+
+        it('is UTC date-time', () => {
+            expect(is.dateTime('2000-01-01T00:00:00.000Z')).to.be.true;
+        });
+
+        it('is offset date-time', () => {
+            expect(is.dateTime('2000-01-01T00:00:00-07:00')).to.be.true;
+        });
+
+        it('is lowercase date-time', () => {
+            expect(is.dateTime('2000-01-01t00:00:00.123456z')).to.be.true;
+        });
+
+        it('missing offset', () => {
+            expect(is.dateTime('2000-01-01T00:00:00')).to.be.false;
+        });
+
+        it('empty fraction', () => {
+            expect(is.dateTime('2000-01-01T00:00:00.Z')).to.be.false;
+        });
+
+        it('day not on the calendar', () => {
+            expect(is.dateTime('2017-02-30T00:00:00Z')).to.be.false;
+        });
+
+        it('time out of range', () => {
+            expect(is.dateTime('2017-02-28T25:00:00Z')).to.be.false;
+            expect(is.dateTime('2017-02-28T23:61:00Z')).to.be.false;
+            expect(is.dateTime('2017-02-28T23:59:61Z')).to.be.false;
+            expect(is.dateTime('2017-02-28T23:59:59+24:00')).to.be.false;
+        });
+
+        it('leap second', () => {
+            expect(is.dateTime('2016-12-31T23:59:60Z')).to.be.true;
+            expect(is.dateTime('2016-12-31T12:59:60Z')).to.be.false;
+        });
+
+    });
+
+    describe('email', () => {
+
+        it('is email', () => {
+            expect(is.email('bob.smith+tag@example.com')).to.be.true;
+        });
+
+        it('missing domain', () => {
+            expect(is.email('bob@')).to.be.false;
+        });
+
+        it('multiple @', () => {
+            expect(is.email('bob@smith@example.com')).to.be.false;
+        });
+
+        it('invalid domain', () => {
+            expect(is.email('bob@-example.com')).to.be.false;
+        });
+
+        it('leading dot', () => {
+            expect(is.email('.bob@example.com')).to.be.false;
+        });
+
+    });
+
+    describe('hostname', () => {
+
+        it('is hostname', () => {
+            expect(is.hostname('api.example.com')).to.be.true;
+        });
+
+        it('label starts with hyphen', () => {
+            expect(is.hostname('-api.example.com')).to.be.false;
+        });
+
+        it('label too long', () => {
+            expect(is.hostname('a'.repeat(64) + '.com')).to.be.false;
+        });
+
+        it('invalid character', () => {
+            expect(is.hostname('api_v1.example.com')).to.be.false;
+        });
+
+    });
+
+    describe('ipv4', () => {
+
+        it('is ipv4', () => {
+            expect(is.ipv4('192.168.0.1')).to.be.true;
+        });
+
+        it('octet out of range', () => {
+            expect(is.ipv4('192.168.0.256')).to.be.false;
+        });
+
+        it('too few octets', () => {
+            expect(is.ipv4('192.168.0')).to.be.false;
+        });
+
+    });
+
+    describe('ipv6', () => {
+
+        it('is ipv6', () => {
+            expect(is.ipv6('2001:db8::ff00:42:8329')).to.be.true;
+        });
+
+        it('is loopback', () => {
+            expect(is.ipv6('::1')).to.be.true;
+        });
+
+        it('ipv4 address', () => {
+            expect(is.ipv6('192.168.0.1')).to.be.false;
+        });
+
+        it('too many groups', () => {
+            expect(is.ipv6('1:2:3:4:5:6:7:8:9')).to.be.false;
+        });
+
+    });
+
+    describe('password', () => {
+
+        it('is password', () => {
+            expect(is.password('secret')).to.be.true;
+        });
+
+        it('not a string', () => {
+            expect(is.password(123)).to.be.false;
+        });
+
+    });
+
+    describe('uri', () => {
+
+        it('is uri', () => {
+            expect(is.uri('https://example.com/path?query=1#hash')).to.be.true;
+        });
+
+        it('is urn', () => {
+            expect(is.uri('urn:isbn:0451450523')).to.be.true;
+        });
+
+        it('relative reference', () => {
+            expect(is.uri('/path')).to.be.false;
+        });
+
+        it('contains whitespace', () => {
+            expect(is.uri('https://example.com/a b')).to.be.false;
+        });
+
+    });
+
+    describe('uuid', () => {
+
+        it('is uuid', () => {
+            expect(is.uuid('123e4567-e89b-12d3-a456-426614174000')).to.be.true;
+        });
+
+        it('missing group', () => {
+            expect(is.uuid('123e4567-e89b-12d3-a456')).to.be.false;
+        });
+
+        it('invalid character', () => {
+            expect(is.uuid('123e4567-e89b-12d3-a456-42661417400g')).to.be.false;
+        });
+
     });
 
 });
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect        = require('chai').expect;
+const lint          = require('../bin/lint');
+
+describe('lint', () => {
+
+    it('valid schema', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string', maxLength: 10, pattern: '^[a-z]+$' },
+                tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+            },
+            required: ['name'],
+            additionalProperties: false,
+            'x-custom': true
+        };
+        expect(lint(schema)).to.deep.equal([]);
+    });
+
+    it('unknown keyword', () => {
+        const errors = lint({ type: 'string', maxLenght: 5 });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].code).to.equal('ESESCHM');
+        expect(errors[0].at).to.equal('/maxLenght');
+    });
+
+    it('invalid type', () => {
+        const errors = lint({ properties: { age: { type: 'int' } } });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/properties/age/type');
+    });
+
+    it('valid composition', () => {
+        const schema = {
+            anyOf: [ { type: 'string' }, { type: 'number' } ],
+            oneOf: [ { type: 'string' } ],
+            not: { enum: [''] }
+        };
+        expect(lint(schema)).to.deep.equal([]);
+    });
+
+    it('empty oneOf', () => {
+        const errors = lint({ oneOf: [] });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/oneOf');
+    });
+
+    it('invalid anyOf schema', () => {
+        const errors = lint({ anyOf: [ { type: 'int' } ] });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/anyOf/0/type');
+    });
+
+    it('not must be a schema', () => {
+        const errors = lint({ not: [] });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/not');
+    });
+
+    it('nullable must be a boolean', () => {
+        expect(lint({ type: 'string', nullable: true, 'x-nullable': true })).to.deep.equal([]);
+        const errors = lint({ type: 'string', 'x-nullable': 'yes' });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/x-nullable');
+    });
+
+    it('write only must be a boolean', () => {
+        const errors = lint({ type: 'string', readOnly: true, writeOnly: 1, 'x-writeOnly': true });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/writeOnly');
+    });
+
+    it('discriminator object', () => {
+        const schema = {
+            type: 'object',
+            discriminator: { propertyName: 'petType', mapping: { cat: 'Cat', dog: 5 } },
+            properties: { petType: { type: 'string' } },
+            required: ['petType']
+        };
+        const errors = lint(schema);
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/discriminator/mapping/dog');
+    });
+
+    it('x-discriminator-mapping must be an object', () => {
+        const schema = {
+            type: 'object',
+            discriminator: 'petType',
+            'x-discriminator-mapping': 'Cat',
+            properties: { petType: { type: 'string' } },
+            required: ['petType']
+        };
+        const errors = lint(schema);
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/x-discriminator-mapping');
+    });
+
+    it('required not an array', () => {
+        const errors = lint({ type: 'object', required: 'name' });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/required');
+    });
+
+    it('required item not a string', () => {
+        const errors = lint({ type: 'object', required: ['name', 5] });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/required/1');
+    });
+
+    it('invalid non-negative integer', () => {
+        const errors = lint({ type: 'array', maxItems: -1 });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/maxItems');
+    });
+
+    it('minimum above maximum', () => {
+        const errors = lint({ type: 'number', minimum: 10, maximum: 5 });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/minimum');
+    });
+
+    it('anchored pattern outside of lengths', () => {
+        const errors = lint({ type: 'string', pattern: '^[a-z]{2}$', minLength: 3, maxLength: 1 });
+        expect(errors.map(err => err.at)).to.deep.equal(['/minLength', '/minLength', '/maxLength']);
+        expect(errors[1].message).to.match(/only matches strings with at most 2 characters/);
+        expect(lint({ type: 'string', pattern: '[a-z]{2}', minLength: 3 })).to.deep.equal([]);
+    });
+
+    it('invalid pattern', () => {
+        const errors = lint({ type: 'string', pattern: '[a-' });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/pattern');
+    });
+
+    it('discriminator not in properties', () => {
+        const errors = lint({ type: 'object', discriminator: 'petType', properties: { name: { type: 'string' } } });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/discriminator');
+    });
+
+    it('discriminator not required', () => {
+        const errors = lint({ type: 'object', discriminator: 'petType', properties: { petType: { type: 'string' } } });
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/discriminator');
+    });
+
+    it('ignores keywords next to $ref', () => {
+        expect(lint({ $ref: '#/definitions/Pet', foo: 1 }).length).to.equal(0);
+    });
+
+    it('reports definitions', () => {
+        const definitions = {
+            'Pet/Cat': { type: 'object', properties: { lives: { type: 'integer', maximum: '9' } } }
+        };
+        const errors = lint({ $ref: '#/definitions/Pet~1Cat' }, definitions);
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/definitions/Pet~1Cat/properties/lives/maximum');
+    });
+
+    it('reports each error', () => {
+        const errors = lint({ type: 'int', maxLenght: 5, items: [] });
+        expect(errors.length).to.equal(3);
+    });
+
+    it('checks shared schemas once', () => {
+        const shared = { type: 'int' };
+        const definitions = { A: shared };
+        const errors = lint({ items: shared }, definitions);
+        expect(errors.length).to.equal(1);
+        expect(errors[0].at).to.equal('/definitions/A/type');
+    });
+
+    it('can throw', () => {
+        expect(() => lint({ type: 'int' }, {}, true)).to.throw(Error);
+    });
+
+    describe('document', () => {
+
+        it('reports operation schemas', () => {
+            const swagger = {
+                paths: {
+                    '/pets': {
+                        post: {
+                            parameters: [
+                                { name: 'body', in: 'body', schema: { type: 'obj' } }
+                            ],
+                            responses: {
+                                200: { description: '', schema: { type: 'array', items: { type: 'string', minLength: 'a' } } }
+                            }
+                        }
+                    }
+                }
+            };
+            const errors = lint.document(swagger);
+            expect(errors.map(e => e.at)).to.deep.equal([
+                '/paths/~1pets/post/parameters/0/schema/type',
+                '/paths/~1pets/post/responses/200/schema/items/minLength'
+            ]);
+        });
+
+    });
+
+});
\ No newline at end of file
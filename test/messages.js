@@ -0,0 +1,183 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+const messages      = require('../bin/messages');
+
+describe('messages', () => {
+
+    afterEach(() => messages.reset());
+
+    describe('define', () => {
+
+        it('requires a locale', () => {
+            expect(() => messages.define('', {})).to.throw(Error);
+        });
+
+        it('requires string messages', () => {
+            expect(() => messages.define('es', { ESENMAX: 5 })).to.throw(Error);
+        });
+
+        it('adds to the messages of a locale', () => {
+            messages.define('es', { ESENMAX: 'a' });
+            messages.define('es', { ESENMIN: 'b' });
+            expect(messages.get('es')).to.deep.equal({ ESENMAX: 'a', ESENMIN: 'b' });
+        });
+
+    });
+
+    describe('format', () => {
+
+        it('interpolates values', () => {
+            expect(messages.format('ESENMAX', { value: 6, limit: 5 })).to.equal('Value 6 over maximum 5');
+        });
+
+        it('keeps placeholders that have no value', () => {
+            expect(messages.format('ESENMAX', { value: 6 })).to.equal('Value 6 over maximum {limit}');
+        });
+
+        it('uses the variant of a code', () => {
+            expect(messages.format('ESENMAX:exclusive', { value: 5, limit: 5 })).to.equal('Value 5 over exclusive maximum 5');
+        });
+
+        it('falls back to the language and then to the default locale', () => {
+            messages.define('es', { ESENMAX: 'El valor {value} supera el máximo {limit}' });
+            expect(messages.format('ESENMAX', { value: 6, limit: 5 }, 'es-MX')).to.equal('El valor 6 supera el máximo 5');
+            expect(messages.format('ESENMIN', { value: 4, limit: 5 }, 'es-MX')).to.equal('Value 4 under minimum 5');
+        });
+
+        it('uses the message of the code for a variant that the locale does not define', () => {
+            messages.define('es', { ESENMAX: 'Demasiado grande' });
+            expect(messages.format('ESENMAX:exclusive', {}, 'es')).to.equal('Demasiado grande');
+        });
+
+        it('uses the x-error-messages of the schema', () => {
+            const schema = { 'x-error-messages': { ESENMAX: 'Too big: {value}' } };
+            expect(messages.format('ESENMAX:exclusive', { value: 6 }, 'en', schema)).to.equal('Too big: 6');
+        });
+
+        it('uses the x-error-messages of the schema by locale', () => {
+            const schema = { 'x-error-messages': { ESENMAX: { en: 'Too big', es: 'Demasiado grande' } } };
+            expect(messages.format('ESENMAX', {}, 'es-MX', schema)).to.equal('Demasiado grande');
+            expect(messages.format('ESENMAX', {}, 'fr', schema)).to.equal('Too big');
+        });
+
+    });
+
+    describe('remove', () => {
+
+        it('removes a locale', () => {
+            messages.define('es', { ESENMAX: 'a' });
+            expect(messages.remove('es')).to.be.true;
+            expect(messages.get('es')).to.be.undefined;
+        });
+
+    });
+
+    describe('validation', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                age: { type: 'integer', maximum: 5, 'x-error-messages': { ESENMAX: { en: 'Too old', es: 'Demasiado viejo' } } },
+                name: { type: 'string', maxLength: 3 }
+            }
+        };
+
+        beforeEach(() => messages.define('es', { ESESMAX: 'El valor {value} es más largo que {limit}' }));
+
+        it('uses the locale option', () => {
+            const errors = enforcer(schema, {}, { locale: 'es' }).errors({ name: 'Fluffy' });
+            expect(errors[0].message).to.equal('El valor Fluffy es más largo que 3 [at /name]');
+        });
+
+        it('uses the locale of the call', () => {
+            const errors = enforcer(schema).errors({ age: 6, name: 'Fluffy' }, { locale: 'es' });
+            expect(errors.map(err => err.message)).to.deep.equal(['Demasiado viejo [at /age]', 'El valor Fluffy es más largo que 3 [at /name]']);
+        });
+
+        it('validates with the locale of the call', () => {
+            try {
+                enforcer(schema).validate({ age: 6 }, { locale: 'es' });
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err.message).to.equal('Demasiado viejo [at /age]');
+            }
+        });
+
+        it('uses the locale for composition errors', () => {
+            const e = enforcer({ oneOf: [ { type: 'string', maxLength: 1 }, { type: 'number' } ] }, {}, { locale: 'es' });
+            expect(e.errors('ab')[0].message).to.contain('El valor ab es más largo que 1');
+        });
+
+        it('uses the locale for format errors', () => {
+            messages.define('es', { 'ESEDATE:hour': 'La hora {received} está fuera de rango' });
+            const e = enforcer({ type: 'string', format: 'date-time' }, {}, { locale: 'es' });
+            expect(e.errors('2017-01-01T24:00:00Z')[0].message).to.match(/^La hora 24 está fuera de rango/);
+            expect(enforcer({ type: 'string', format: 'date' }).errors('2017-02-30')[0].message).to.match(/^Date does not exist on the calendar/);
+        });
+
+        it('uses the locale for multiple errors', () => {
+            messages.define('es', { ESEMLTI: 'La validación falló:{errors}' });
+            try {
+                enforcer(schema, {}, { locale: 'es' }).validate({ age: 6, name: 'Fluffy' });
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err.message).to.equal('La validación falló:\n\tDemasiado viejo [at /age]\n\tEl valor Fluffy es más largo que 3 [at /name]');
+            }
+        });
+
+        it('uses the locale for parameter and body errors', () => {
+            messages.define('es', {
+                ESEEMPT: 'Valor vacío no permitido: {name}',
+                'ESEREQ:body': 'Falta el cuerpo',
+                'ESEREQ:parameter': 'Falta el parámetro: {name}'
+            });
+            const parameter = enforcer.parameter({ name: 'limit', in: 'query', required: true, type: 'integer' }, { locale: 'es' });
+            expect(parameter.parse(undefined).errors[0].message).to.equal('Falta el parámetro: limit');
+            expect(parameter.parse('').errors[0].message).to.equal('Valor vacío no permitido: limit');
+
+            const doc = enforcer.document({
+                swagger: '2.0',
+                info: { title: 'Pets', version: '1.0.0' },
+                paths: {
+                    '/pets': {
+                        post: {
+                            parameters: [ { name: 'body', in: 'body', required: true, schema: { type: 'object' } } ],
+                            responses: { 201: { description: 'Created' } }
+                        }
+                    }
+                }
+            }, { locale: 'es' });
+            expect(doc.request({ method: 'post', path: '/pets' }).errors.body[0].message).to.equal('Falta el cuerpo');
+        });
+
+        it('uses the locale and x-error-messages for serialize and deserialize errors', () => {
+            messages.define('es', {
+                ESEDSER: 'No se puede convertir: {received}',
+                ESESER: 'No se puede serializar: {received}'
+            });
+            const e = enforcer({ type: 'string', format: 'date' }, {}, { locale: 'es' });
+            expect(e.deserialize('abc').errors[0].message).to.equal("No se puede convertir: 'abc'");
+            expect(e.serialize(true).errors[0].message).to.equal('No se puede serializar: true');
+            const schema = { type: 'string', format: 'date', 'x-error-messages': { ESEDSER: 'Bad date' } };
+            expect(enforcer(schema).deserialize('abc').errors[0].message).to.equal('Bad date');
+        });
+
+    });
+
+});
\ No newline at end of file
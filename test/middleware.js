@@ -0,0 +1,322 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Document      = require('../bin/document');
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+const http          = require('http');
+const middleware    = require('../bin/middleware');
+
+describe('middleware', () => {
+    const swagger = {
+        swagger: '2.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        paths: {
+            '/pets': {
+                post: {
+                    parameters: [
+                        { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+                    ],
+                    responses: {
+                        201: { description: 'Created', schema: { $ref: '#/definitions/Pet' } }
+                    }
+                }
+            },
+            '/pets/{id}': {
+                parameters: [
+                    { name: 'id', in: 'path', required: true, type: 'integer' }
+                ],
+                get: {
+                    responses: {
+                        200: { description: 'Success', schema: { $ref: '#/definitions/Pet' } },
+                        204: { description: 'No content' }
+                    }
+                }
+            }
+        },
+        definitions: {
+            Pet: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', readOnly: true },
+                    name: { type: 'string' }
+                },
+                required: ['name']
+            }
+        }
+    };
+    let logged;
+    let server;
+
+    beforeEach(() => logged = []);
+
+    afterEach(done => {
+        if (server) {
+            server.close(() => done());
+            server = null;
+        } else {
+            done();
+        }
+    });
+
+    it('exposed on enforcer', () => {
+        expect(enforcer.middleware).to.equal(middleware);
+    });
+
+    it('invalid options', () => {
+        expect(() => middleware(swagger, { request: 'ignore' })).to.throw(Error);
+    });
+
+    it('passes valid request to handler', done => {
+        listen({}, (req, res) => res.json({ id: req.swagger.params.path.id, name: 'Mittens' }), () => {
+            request('GET', '/pets/12', undefined, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ id: 12, name: 'Mittens' });
+                done();
+            });
+        });
+    });
+
+    it('rejects invalid request', done => {
+        listen({}, (req, res) => res.json({}), () => {
+            request('GET', '/pets/abc', undefined, (status, body) => {
+                expect(status).to.equal(400);
+                expect(body.errors.path.length).to.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('rejects malformed path encoding', done => {
+        listen({}, (req, res) => res.json({}), () => {
+            request('GET', '/pets/%E0%A4%A', undefined, (status, body) => {
+                expect(status).to.equal(400);
+                expect(body.errors.path.length).to.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('logs invalid request', done => {
+        listen({ request: 'log' }, (req, res) => res.send({ name: 'Mittens' }), () => {
+            request('GET', '/pets/abc', undefined, status => {
+                expect(status).to.equal(200);
+                expect(logged.length).to.equal(1);
+                expect(logged[0].code).to.equal('ESEREQT');
+                done();
+            });
+        });
+    });
+
+    it('validates parsed body', done => {
+        listen({}, (req, res) => res.json({}), () => {
+            request('POST', '/pets', { name: 5 }, (status, body) => {
+                expect(status).to.equal(400);
+                expect(body.errors.body.length).to.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('strips unknown request body properties', done => {
+        listen({ request: 'strip' }, (req, res) => res.status(201).json(req.body), () => {
+            request('POST', '/pets', { name: 'Mittens', color: 'black' }, (status, body) => {
+                expect(status).to.equal(201);
+                expect(body).to.deep.equal({ name: 'Mittens' });
+                done();
+            });
+        });
+    });
+
+    it('rejects invalid response', done => {
+        listen({}, (req, res) => res.json({ name: 5 }), () => {
+            request('GET', '/pets/1', undefined, (status, body) => {
+                expect(status).to.equal(500);
+                expect(body).to.deep.equal({ message: 'Internal server error' });
+                expect(logged[0].code).to.equal('ESERESP');
+                done();
+            });
+        });
+    });
+
+    it('logs invalid response', done => {
+        listen({ response: 'log' }, (req, res) => res.json({ name: 5 }), () => {
+            request('GET', '/pets/1', undefined, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ name: 5 });
+                expect(logged.length).to.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('strips unknown response properties', done => {
+        listen({ response: 'strip' }, (req, res) => res.json({ name: 'Mittens', secret: 'x' }), () => {
+            request('GET', '/pets/1', undefined, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ name: 'Mittens' });
+                done();
+            });
+        });
+    });
+
+    it('strips unknown response properties with escaped names', done => {
+        listen({ response: 'strip' }, (req, res) => res.json({ name: 'Mittens', 'a/b': 'x', a: { b: 'y' } }), () => {
+            request('GET', '/pets/1', undefined, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ name: 'Mittens' });
+                done();
+            });
+        });
+    });
+
+    it('rejects undefined response status', done => {
+        listen({}, (req, res) => res.status(418).json({ name: 'Mittens' }), () => {
+            request('GET', '/pets/1', undefined, status => {
+                expect(status).to.equal(500);
+                expect(logged[0].errors[0].code).to.equal('ESESTAT');
+                done();
+            });
+        });
+    });
+
+    it('does not validate response without schema', done => {
+        listen({}, (req, res) => res.status(204).send(), () => {
+            request('GET', '/pets/1', undefined, status => {
+                expect(status).to.equal(204);
+                done();
+            });
+        });
+    });
+
+    it('sends built response', done => {
+        listen({}, (req, res) => {
+            const body = res.enforce(200);
+            body.name = 'Mittens';
+            res.send();
+        }, () => {
+            request('GET', '/pets/1', undefined, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ name: 'Mittens' });
+                done();
+            });
+        });
+    });
+
+    it('rejects incomplete built response', done => {
+        listen({}, (req, res) => {
+            res.enforce(200);
+            res.json();
+        }, () => {
+            request('GET', '/pets/1', undefined, status => {
+                expect(status).to.equal(500);
+                expect(logged[0].errors[0].code).to.equal('ESEREQ');
+                done();
+            });
+        });
+    });
+
+    it('rejects incomplete plain response', done => {
+        listen({}, (req, res) => res.status(201).json({ id: 1 }), () => {
+            request('POST', '/pets', { name: 'Mittens' }, status => {
+                expect(status).to.equal(500);
+                expect(logged[0].errors[0].code).to.equal('ESEREQ');
+                done();
+            });
+        });
+    });
+
+    it('enforces built response while it is built', done => {
+        listen({}, (req, res) => {
+            const body = res.enforce(200);
+            try {
+                body.name = 5;
+                res.send({ name: 'assigned' });
+            } catch (err) {
+                res.send({ name: err.code });
+            }
+        }, () => {
+            request('GET', '/pets/1', undefined, (status, body) => {
+                expect(body).to.deep.equal({ name: 'ESETYPE' });
+                done();
+            });
+        });
+    });
+
+    it('passes undefined paths through', done => {
+        listen({}, (req, res) => res.end('ok'), () => {
+            request('GET', '/other', undefined, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.equal('ok');
+                done();
+            });
+        });
+    });
+
+    it('accepts a document instance', done => {
+        const doc = Document(swagger);
+        const handler = middleware(doc, { logger: err => logged.push(err) });
+        server = http.createServer((req, res) => handler(req, res, () => res.json({ name: 'Mittens' })));
+        server.listen(0, () => {
+            request('GET', '/pets/1', undefined, status => {
+                expect(status).to.equal(200);
+                done();
+            });
+        });
+    });
+
+    function listen(options, handler, callback) {
+        options.logger = err => logged.push(err);
+        const validate = middleware(swagger, options);
+        server = http.createServer((req, res) => {
+            res.status = code => {
+                res.statusCode = code;
+                return res;
+            };
+            validate(req, res, err => {
+                if (err) {
+                    res.statusCode = 500;
+                    res.end(err.message);
+                } else {
+                    handler(req, res);
+                }
+            });
+        });
+        server.listen(0, callback);
+    }
+
+    function request(method, path, body, callback) {
+        const data = body === undefined ? undefined : JSON.stringify(body);
+        const headers = data ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) } : {};
+        const req = http.request({ agent: false, method: method, port: server.address().port, path: path, headers: headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString();
+                let value;
+                try {
+                    value = JSON.parse(text);
+                } catch (err) {
+                    value = text;
+                }
+                callback(res.statusCode, value);
+            });
+        });
+        req.end(data);
+    }
+
+});
\ No newline at end of file
@@ -0,0 +1,301 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+const http          = require('http');
+const mock          = require('../bin/mock');
+
+describe('mock', () => {
+    const swagger = {
+        swagger: '2.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        basePath: '/api',
+        paths: {
+            '/pets': {
+                get: {
+                    responses: {
+                        200: { description: 'Success', schema: { type: 'array', items: { $ref: '#/definitions/Pet' } } }
+                    }
+                },
+                post: {
+                    parameters: [
+                        { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+                    ],
+                    responses: {
+                        201: { description: 'Created', schema: { $ref: '#/definitions/Pet' } },
+                        400: { description: 'Invalid', schema: { type: 'object', properties: { message: { type: 'string', example: 'Invalid pet' } } } }
+                    }
+                }
+            },
+            '/pets/{petId}': {
+                parameters: [
+                    { name: 'petId', in: 'path', required: true, type: 'integer' }
+                ],
+                get: {
+                    responses: {
+                        200: { description: 'Success', schema: { $ref: '#/definitions/Pet' } }
+                    }
+                },
+                put: {
+                    parameters: [
+                        { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+                    ],
+                    responses: {
+                        200: { description: 'Success', schema: { $ref: '#/definitions/Pet' } }
+                    }
+                },
+                patch: {
+                    parameters: [
+                        { name: 'body', in: 'body', required: true, schema: { type: 'object', properties: { name: { type: 'string' } } } }
+                    ],
+                    responses: {
+                        200: { description: 'Success', schema: { $ref: '#/definitions/Pet' } }
+                    }
+                },
+                delete: {
+                    responses: {
+                        204: { description: 'Deleted' }
+                    }
+                }
+            },
+            '/impossible': {
+                get: {
+                    responses: {
+                        200: { description: 'Success', schema: { type: 'string', not: { type: 'string' } } }
+                    }
+                }
+            }
+        },
+        definitions: {
+            Pet: {
+                type: 'object',
+                properties: {
+                    petId: { type: 'integer', readOnly: true, example: 7 },
+                    name: { type: 'string', example: 'Mittens' }
+                },
+                required: ['name']
+            }
+        }
+    };
+    let logged;
+    let server;
+
+    beforeEach(() => logged = []);
+
+    afterEach(done => {
+        if (server) {
+            server.close(() => done());
+            server = null;
+        } else {
+            done();
+        }
+    });
+
+    it('exposed on enforcer', () => {
+        expect(enforcer.mock).to.equal(mock);
+    });
+
+    it('invalid options', () => {
+        expect(() => mock(swagger, { latency: 'slow' })).to.throw(Error);
+    });
+
+    it('responds with example', done => {
+        listen({}, () => {
+            request('GET', '/api/pets/1', undefined, {}, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ petId: 7, name: 'Mittens' });
+                done();
+            });
+        });
+    });
+
+    it('responds with random value', done => {
+        listen({ examples: false, seed: 1 }, () => {
+            request('GET', '/api/pets/1', undefined, {}, (status, body) => {
+                expect(status).to.equal(200);
+                expect(body.name).to.be.a('string');
+                expect(body.name).not.to.equal('Mittens');
+                done();
+            });
+        });
+    });
+
+    it('rejects invalid request', done => {
+        listen({}, () => {
+            request('GET', '/api/pets/abc', undefined, {}, (status, body) => {
+                expect(status).to.equal(400);
+                expect(body.errors.path.length).to.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('undefined path', done => {
+        listen({}, () => {
+            request('GET', '/api/cats', undefined, {}, status => {
+                expect(status).to.equal(404);
+                done();
+            });
+        });
+    });
+
+    it('status code from header', done => {
+        listen({}, () => {
+            request('POST', '/api/pets', { name: 'Rex' }, { 'x-mock-status': '400' }, (status, body) => {
+                expect(status).to.equal(400);
+                expect(body).to.deep.equal({ message: 'Invalid pet' });
+                done();
+            });
+        });
+    });
+
+    it('status code from query', done => {
+        listen({}, () => {
+            request('POST', '/api/pets?x-mock-status=400', { name: 'Rex' }, {}, status => {
+                expect(status).to.equal(400);
+                done();
+            });
+        });
+    });
+
+    it('undefined status code', done => {
+        listen({}, () => {
+            request('GET', '/api/pets', undefined, { 'x-mock-status': '418' }, status => {
+                expect(status).to.equal(400);
+                done();
+            });
+        });
+    });
+
+    it('latency', done => {
+        listen({ latency: 50 }, () => {
+            const start = Date.now();
+            request('GET', '/api/pets/1', undefined, {}, () => {
+                expect(Date.now() - start).to.be.at.least(45);
+                done();
+            });
+        });
+    });
+
+    it('latency from header', done => {
+        listen({ latency: 5000 }, () => {
+            request('GET', '/api/pets/1', undefined, { 'x-mock-latency': '0' }, status => {
+                expect(status).to.equal(200);
+                done();
+            });
+        });
+    });
+
+    it('value cannot be generated', done => {
+        listen({}, () => {
+            request('GET', '/api/impossible', undefined, {}, (status, body) => {
+                expect(status).to.equal(500);
+                expect(body.message).to.match(/Unable to generate/);
+                expect(logged.some(err => err.code === 'ESERAND')).to.equal(true);
+                request('GET', '/api/pets/1', undefined, {}, status => {
+                    expect(status).to.equal(200);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('stateful', () => {
+
+        it('creates items', done => {
+            listen({}, () => {
+                request('POST', '/api/pets', { name: 'Rex' }, {}, (status, body) => {
+                    expect(status).to.equal(201);
+                    expect(body).to.deep.equal({ petId: 1, name: 'Rex' });
+                    request('POST', '/api/pets', { name: 'Tom' }, {}, (status, body) => {
+                        expect(body.petId).to.equal(2);
+                        request('GET', '/api/pets', undefined, {}, (status, body) => {
+                            expect(body).to.deep.equal([{ petId: 1, name: 'Rex' }, { petId: 2, name: 'Tom' }]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('reads, updates, and deletes items', done => {
+            listen({}, () => {
+                request('POST', '/api/pets', { name: 'Rex' }, {}, () => {
+                    request('PATCH', '/api/pets/1', { name: 'Max' }, {}, (status, body) => {
+                        expect(body).to.deep.equal({ petId: 1, name: 'Max' });
+                        request('DELETE', '/api/pets/1', undefined, {}, status => {
+                            expect(status).to.equal(204);
+                            request('GET', '/api/pets/1', undefined, {}, status => {
+                                expect(status).to.equal(404);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('replaces items', done => {
+            listen({}, () => {
+                request('PUT', '/api/pets/5', { name: 'Rex' }, {}, () => {
+                    request('GET', '/api/pets/5', undefined, {}, (status, body) => {
+                        expect(body).to.deep.equal({ name: 'Rex', petId: 5 });
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('can be disabled', done => {
+            listen({ stateful: false }, () => {
+                request('POST', '/api/pets', { name: 'Rex' }, {}, (status, body) => {
+                    expect(body).to.deep.equal({ petId: 7, name: 'Mittens' });
+                    done();
+                });
+            });
+        });
+
+    });
+
+    function listen(options, callback) {
+        options.logger = err => logged.push(err);
+        server = http.createServer(mock(swagger, options));
+        server.listen(0, callback);
+    }
+
+    function request(method, path, body, headers, callback) {
+        const data = body === undefined ? undefined : JSON.stringify(body);
+        if (data) Object.assign(headers, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+        const req = http.request({ agent: false, method: method, port: server.address().port, path: path, headers: headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString();
+                let value;
+                try {
+                    value = JSON.parse(text);
+                } catch (err) {
+                    value = text;
+                }
+                callback(res.statusCode, value);
+            });
+        });
+        req.end(data);
+    }
+
+});
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+const Parameter     = require('../bin/parameter');
+
+describe('parameter', () => {
+
+    it('exposed on enforcer', () => {
+        expect(enforcer.parameter).to.equal(Parameter);
+    });
+
+    it('requires a location', () => {
+        expect(() => Parameter({ name: 'x', type: 'string' })).to.throw(/must be one of/);
+    });
+
+    it('does not accept body parameters', () => {
+        expect(() => Parameter({ name: 'body', in: 'body', schema: {} })).to.throw(/Body parameters/);
+    });
+
+    describe('deserialize', () => {
+
+        it('boolean', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'boolean' });
+            expect(p.deserialize('true')).to.equal(true);
+            expect(p.deserialize('false')).to.equal(false);
+        });
+
+        it('signed integer', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'integer' });
+            expect(p.deserialize('-15')).to.equal(-15);
+        });
+
+        it('exponent number', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'number' });
+            expect(p.deserialize('-1.5e3')).to.equal(-1500);
+        });
+
+        it('int64 as string', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'integer', format: 'int64' }, { int64: 'string' });
+            expect(p.deserialize('9223372036854775807')).to.equal('9223372036854775807');
+        });
+
+        it('non-numeric stays a string', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'number' });
+            expect(p.deserialize('abc')).to.equal('abc');
+        });
+
+        it('non-finite number stays a string', () => {
+            expect(Parameter({ name: 'x', in: 'query', type: 'number' }).deserialize('1e400')).to.equal('1e400');
+            expect(Parameter({ name: 'x', in: 'query', type: 'integer' }).deserialize('1' + '0'.repeat(400))).to.equal('1' + '0'.repeat(400));
+        });
+
+        it('csv by default', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', items: { type: 'integer' } });
+            expect(p.deserialize('1,2,3')).to.deep.equal([1, 2, 3]);
+        });
+
+        it('empty csv', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', items: { type: 'integer' } });
+            expect(p.deserialize('')).to.deep.equal([]);
+        });
+
+        it('ssv', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', collectionFormat: 'ssv', items: { type: 'string' } });
+            expect(p.deserialize('a b')).to.deep.equal(['a', 'b']);
+        });
+
+        it('tsv', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', collectionFormat: 'tsv', items: { type: 'string' } });
+            expect(p.deserialize('a\tb')).to.deep.equal(['a', 'b']);
+        });
+
+        it('pipes', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', collectionFormat: 'pipes', items: { type: 'boolean' } });
+            expect(p.deserialize('true|false')).to.deep.equal([true, false]);
+        });
+
+        it('multi', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', collectionFormat: 'multi', items: { type: 'number' } });
+            expect(p.deserialize(['1.5', '2'])).to.deep.equal([1.5, 2]);
+        });
+
+        it('multi single value', () => {
+            const p = Parameter({ name: 'x', in: 'query', type: 'array', collectionFormat: 'multi', items: { type: 'string' } });
+            expect(p.deserialize('a,b')).to.deep.equal(['a,b']);
+        });
+
+        it('nested collection formats', () => {
+            const p = Parameter({
+                name: 'x',
+                in: 'query',
+                type: 'array',
+                collectionFormat: 'pipes',
+                items: { type: 'array', items: { type: 'integer' } }
+            });
+            expect(p.deserialize('1,2|3')).to.deep.equal([[1, 2], [3]]);
+        });
+
+    });
+
+    describe('parse', () => {
+
+        it('valid value', () => {
+            const p = Parameter({ name: 'limit', in: 'query', type: 'integer', maximum: 100 });
+            expect(p.parse('50')).to.deep.equal({ errors: [], value: 50 });
+        });
+
+        it('invalid value', () => {
+            const p = Parameter({ name: 'limit', in: 'query', type: 'integer', maximum: 100 });
+            const result = p.parse('500');
+            expect(result.errors.length).to.equal(1);
+            expect(result.errors[0].code).to.equal('ESENMAX');
+        });
+
+        it('non-finite value', () => {
+            const number = Parameter({ name: 'x', in: 'query', type: 'number' }).parse('-1e400');
+            expect(number.errors.map(err => err.code)).to.deep.equal(['ESETYPE']);
+            const integer = Parameter({ name: 'x', in: 'query', type: 'integer', format: 'int64' }).parse('9'.repeat(400));
+            expect(integer.errors.map(err => err.code)).to.deep.equal(['ESETYPE']);
+        });
+
+        it('non-finite int64 value with the bigint and string options', () => {
+            ['bigint', 'string'].forEach(int64 => {
+                const p = Parameter({ name: 'x', in: 'query', type: 'integer', format: 'int64' }, { int64: int64 });
+                expect(p.deserialize('1e400')).to.equal('1e400');
+                expect(p.parse('1e400').errors.map(err => err.code)).to.deep.equal(['ESETYPE']);
+            });
+        });
+
+        it('errors identify the parameter', () => {
+            const p = Parameter({ name: 'ids', in: 'path', type: 'array', items: { type: 'integer' } });
+            const err = p.parse('1,a').errors[0];
+            expect(err.code).to.equal('ESETYPE');
+            expect(err.at).to.equal('/1');
+            expect(err.in).to.equal('path');
+            expect(err.parameter).to.equal('ids');
+        });
+
+        it('missing required', () => {
+            const p = Parameter({ name: 'id', in: 'path', type: 'string', required: true });
+            const result = p.parse();
+            expect(result.errors[0].code).to.equal('ESEREQ');
+            expect(result.errors[0].parameter).to.equal('id');
+        });
+
+        it('missing optional', () => {
+            const p = Parameter({ name: 'q', in: 'query', type: 'string' });
+            expect(p.parse()).to.deep.equal({ errors: [], value: undefined });
+        });
+
+        it('missing optional uses default', () => {
+            const p = Parameter({ name: 'limit', in: 'query', type: 'integer', default: 10 });
+            expect(p.parse().value).to.equal(10);
+        });
+
+        it('date converted to Date', () => {
+            const p = Parameter({ name: 'since', in: 'query', type: 'string', format: 'date-time' });
+            const value = p.parse('2000-01-01T10:00:00+02:00').value;
+            expect(value).to.be.an.instanceof(Date);
+            expect(value.toISOString()).to.equal('2000-01-01T08:00:00.000Z');
+        });
+
+        it('invalid date', () => {
+            const p = Parameter({ name: 'on', in: 'query', type: 'string', format: 'date' });
+            const result = p.parse('2000-02-30');
+            expect(result.errors[0].code).to.equal('ESEDATE');
+            expect(result.value).to.equal('2000-02-30');
+        });
+
+        it('enum', () => {
+            const p = Parameter({ name: 'sort', in: 'query', type: 'string', enum: ['asc', 'desc'] });
+            expect(p.parse('up').errors[0].code).to.equal('ESEENUM');
+        });
+
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+const random        = require('../bin/random');
+
+describe('random', () => {
+    const definitions = {
+        Pet: {
+            type: 'object',
+            discriminator: 'petType',
+            properties: {
+                petType: { type: 'string' },
+                name: { type: 'string', minLength: 2, maxLength: 8 },
+                tags: { type: 'array', uniqueItems: true, minItems: 2, maxItems: 3, items: { type: 'string', enum: ['a', 'b', 'c'] } }
+            },
+            required: ['petType', 'name']
+        },
+        Cat: {
+            allOf: [
+                { $ref: '#/definitions/Pet' },
+                {
+                    type: 'object',
+                    properties: { huntingSkill: { type: 'string', enum: ['clueless', 'lazy'] } },
+                    required: ['huntingSkill']
+                }
+            ]
+        },
+        Dog: {
+            allOf: [
+                { $ref: '#/definitions/Pet' },
+                {
+                    type: 'object',
+                    properties: { packSize: { type: 'integer', minimum: 0, exclusiveMinimum: true, maximum: 10, multipleOf: 2 } },
+                    required: ['packSize']
+                }
+            ]
+        }
+    };
+
+    it('same seed produces same value', () => {
+        const e = enforcer({ $ref: '#/definitions/Pet' }, definitions);
+        expect(e.random(5)).to.deep.equal(e.random(5));
+        expect(e.random('abc')).to.deep.equal(e.random('abc'));
+    });
+
+    it('different seeds produce different values', () => {
+        const e = enforcer({ type: 'string' });
+        expect(e.random(1)).not.to.equal(e.random(2));
+    });
+
+    it('generates valid values', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', minimum: 5, maximum: 7 },
+                price: { type: 'number', minimum: 0, maximum: 5, exclusiveMaximum: true, multipleOf: .25 },
+                active: { type: 'boolean' },
+                code: { type: 'string', pattern: '^[A-Z]{3}-\\d{2,4}(?:x|yz)?$' },
+                created: { type: 'string', format: 'date-time' },
+                email: { type: 'string', format: 'email' },
+                status: { type: 'string', enum: ['on', 'off'] },
+                words: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', maxLength: 4 } }
+            },
+            required: ['count', 'price', 'active', 'code', 'created', 'email', 'status', 'words'],
+            additionalProperties: false
+        };
+        const e = enforcer(schema);
+        for (let i = 0; i < 50; i++) {
+            const value = e.random(i);
+            expect(e.errors(value)).to.deep.equal([]);
+            expect(Object.keys(value).length).to.equal(8);
+        }
+    });
+
+    it('chooses discriminator subtypes', () => {
+        const e = enforcer({ $ref: '#/definitions/Pet' }, definitions, { enforce: { required: true } });
+        const types = new Set();
+        for (let i = 0; i < 30; i++) {
+            const value = e.random(i);
+            expect(e.errors(value)).to.deep.equal([]);
+            types.add(value.petType);
+        }
+        expect(types.has('Cat')).to.be.true;
+        expect(types.has('Dog')).to.be.true;
+    });
+
+    it('subtype uses its own discriminator value', () => {
+        const e = enforcer({ $ref: '#/definitions/Cat' }, definitions);
+        expect(e.random(1).petType).to.equal('Cat');
+    });
+
+    it('uses mapped discriminator values', () => {
+        const Pet = Object.assign({}, definitions.Pet, { discriminator: { propertyName: 'petType', mapping: { dog: '#/definitions/Dog' } } });
+        const mapped = Object.assign({}, definitions, {
+            Pet: Pet,
+            Cat: { allOf: [ Pet, definitions.Cat.allOf[1] ] },
+            Dog: { allOf: [ Pet, definitions.Dog.allOf[1] ] }
+        });
+        const e = enforcer(Pet, mapped, { enforce: { required: true } });
+        const types = new Set();
+        for (let i = 0; i < 30; i++) {
+            const value = e.random(i);
+            expect(e.errors(value)).to.deep.equal([]);
+            types.add(value.petType);
+        }
+        expect(types.has('dog')).to.be.true;
+        expect(types.has('Dog')).to.be.false;
+    });
+
+    it('merges allOf schemas', () => {
+        const e = enforcer({
+            allOf: [
+                { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+                { type: 'object', properties: { b: { type: 'integer' } }, required: ['b'] }
+            ]
+        });
+        const value = e.random(1);
+        expect(value.a).to.be.a('string');
+        expect(value.b).to.be.a('number');
+    });
+
+    it('satisfies oneOf', () => {
+        const e = enforcer({ oneOf: [ { type: 'string', maxLength: 2 }, { type: 'integer', minimum: 100 } ] });
+        for (let i = 0; i < 20; i++) expect(e.errors(e.random(i))).to.deep.equal([]);
+    });
+
+    it('satisfies minProperties with additional properties', () => {
+        const e = enforcer({ type: 'object', additionalProperties: { type: 'integer' }, minProperties: 3 });
+        const value = e.random(1);
+        expect(Object.keys(value).length).to.be.at.least(3);
+        expect(e.errors(value)).to.deep.equal([]);
+    });
+
+    it('limits recursion', () => {
+        const definitions = {
+            Node: {
+                type: 'object',
+                properties: {
+                    children: { type: 'array', items: { $ref: '#/definitions/Node' } }
+                }
+            }
+        };
+        const e = enforcer({ $ref: '#/definitions/Node' }, definitions);
+        for (let i = 0; i < 10; i++) expect(e.errors(e.random(i))).to.deep.equal([]);
+    });
+
+    it('omits read only properties for requests', () => {
+        const schema = { type: 'object', properties: { id: { type: 'integer', readOnly: true } }, required: ['id'] };
+        const e = enforcer(schema, {}, { direction: 'request' });
+        for (let i = 0; i < 10; i++) expect(e.random(i)).to.deep.equal({});
+    });
+
+    it('int64 uses the configured representation', () => {
+        expect(enforcer({ type: 'integer', format: 'int64' }, {}, { int64: 'bigint' }).random(1)).to.be.a('bigint');
+        expect(enforcer({ type: 'integer', format: 'int64' }, {}, { int64: 'string' }).random(1)).to.be.a('string');
+    });
+
+    it('unique falsy items', () => {
+        const e = enforcer({ type: 'array', uniqueItems: true, items: { type: 'boolean' }, minItems: 2 }, {}, { enforce: { uniqueItems: true } });
+        for (let i = 0; i < 10; i++) expect(e.random(i).slice(0).sort()).to.deep.equal([false, true]);
+        const five = enforcer({ type: 'array', uniqueItems: true, items: { type: 'boolean' }, minItems: 5 }, {}, { enforce: { uniqueItems: true } });
+        expect(code(() => five.random(1))).to.equal('ESERAND');
+    });
+
+    it('decimal multiple of', () => {
+        const e = enforcer({ type: 'object', properties: { amount: { type: 'number', multipleOf: 0.01 } }, required: ['amount'] });
+        for (let i = 0; i < 20; i++) expect(e.errors(e.random(i))).to.deep.equal([]);
+    });
+
+    it('format respects lengths', () => {
+        const e = enforcer({ type: 'string', format: 'email', maxLength: 8 });
+        for (let i = 0; i < 20; i++) expect(e.errors(e.random(i))).to.deep.equal([]);
+    });
+
+    it('pattern respects lengths', () => {
+        const e = enforcer({ type: 'string', pattern: '^[a-z]+\\d*$', minLength: 12, maxLength: 14 });
+        for (let i = 0; i < 20; i++) expect(e.errors(e.random(i))).to.deep.equal([]);
+        const unanchored = enforcer({ type: 'string', pattern: '\\d{2}', minLength: 5 });
+        for (let i = 0; i < 20; i++) expect(unanchored.errors(unanchored.random(i))).to.deep.equal([]);
+    });
+
+    it('pattern that cannot satisfy lengths', () => {
+        expect(code(() => enforcer({ type: 'string', pattern: '^[a-z]{2}$', minLength: 3 }))).to.equal('ESESCHM');
+    });
+
+    it('unsatisfiable schema', () => {
+        const e = enforcer({ type: 'string', minLength: 5, maxLength: 2 }, {}, { lint: false });
+        expect(code(() => e.random())).to.equal('ESERAND');
+    });
+
+    describe('example', () => {
+        const definitions = {
+            Pet: {
+                type: 'object',
+                properties: {
+                    age: { type: 'integer', minimum: 0, 'x-example': 3 },
+                    id: { type: 'integer', example: 'abc' },
+                    name: { type: 'string', example: 'Mittens' },
+                    status: { type: 'string', default: 'available' },
+                    tags: { type: 'array', uniqueItems: true, minItems: 2, items: { type: 'string', example: 'cute' } }
+                },
+                required: ['name', 'tags']
+            }
+        };
+
+        it('uses valid examples', () => {
+            const value = enforcer({ $ref: '#/definitions/Pet' }, definitions).example().value;
+            expect(value.name).to.equal('Mittens');
+            expect(value.age).to.equal(3);
+            expect(value.status).to.equal('available');
+        });
+
+        it('generates values without examples', () => {
+            const value = enforcer({ $ref: '#/definitions/Pet' }, definitions).example().value;
+            expect(value.id).to.be.a('number');
+        });
+
+        it('is deterministic', () => {
+            const e = enforcer({ $ref: '#/definitions/Pet' }, definitions);
+            expect(e.example()).to.deep.equal(e.example());
+        });
+
+        it('generates unique items after a repeated example', () => {
+            const e = enforcer({ $ref: '#/definitions/Pet' }, definitions);
+            const tags = e.example().value.tags;
+            expect(tags[0]).to.equal('cute');
+            expect(new Set(tags).size).to.equal(tags.length);
+        });
+
+        it('reports invalid examples', () => {
+            const errors = enforcer({ $ref: '#/definitions/Pet' }, definitions).example().errors;
+            expect(errors.length).to.equal(1);
+            expect(errors[0].code).to.equal('ESEEXMP');
+            expect(errors[0].at).to.equal('/id');
+            expect(errors[0].errors[0].code).to.equal('ESETYPE');
+        });
+
+        it('uses the entire value example', () => {
+            const e = enforcer({ type: 'object', properties: { a: { type: 'string' } }, example: { a: 'x' } });
+            expect(e.example().value).to.deep.equal({ a: 'x' });
+        });
+
+        it('example must satisfy required properties', () => {
+            const e = enforcer({ type: 'object', properties: { a: { type: 'string', example: 'y' } }, required: ['a'], example: {} });
+            const result = e.example();
+            expect(result.value).to.deep.equal({ a: 'y' });
+            expect(result.errors[0].errors[0].code).to.equal('ESEREQ');
+        });
+
+        it('uses provided examples first', () => {
+            const result = random.example({ type: 'string', example: 'b' }, {}, enforcer({}).options, 0, { first: 1, second: 'a' });
+            expect(result.value).to.equal('a');
+            expect(result.errors[0].message).to.match(/^Example "first"/);
+        });
+
+    });
+
+    describe('pattern', () => {
+        const next = random.generator(1);
+
+        function matches(pattern) {
+            const rx = new RegExp(pattern);
+            for (let i = 0; i < 20; i++) {
+                const value = random.pattern(pattern, next);
+                expect(rx.test(value), pattern + ' ' + value).to.be.true;
+            }
+        }
+
+        it('literals and quantifiers', () => {
+            matches('^ab+c*d?e{2}f{1,3}g{2,}$');
+        });
+
+        it('character classes', () => {
+            matches('^[a-f0-9_-]{4}[^a-z]\\d\\D\\w\\W\\s\\S.$');
+        });
+
+        it('groups and alternation', () => {
+            matches('^(?:cat|dog)s?-(red|green|blue)$');
+        });
+
+        it('back references', () => {
+            matches('^(\\w{3})-\\1-(?<year>\\d{4})-\\k<year>$');
+        });
+
+        it('character escapes', () => {
+            matches('^\\x41\\u0042\\t\\.\\$$');
+        });
+
+        it('lengths', () => {
+            for (let i = 0; i < 20; i++) {
+                expect(random.pattern('^(?:ab)+c*$', next, 9, 9).length).to.equal(9);
+                expect(random.pattern('^[a-z]*$', next, 12).length).to.be.at.least(12);
+                expect(random.pattern('^\\d+(?:px|em)$', next, 0, 3).length).to.equal(3);
+            }
+        });
+
+        it('pattern length', () => {
+            expect(random.patternLength('^(cat|mouse)s?$')).to.deep.equal({ anchored: true, max: 6, min: 3 });
+            expect(random.patternLength('^a+|b$')).to.deep.equal({ anchored: false, max: Infinity, min: 1 });
+        });
+
+    });
+
+    function code(callback) {
+        try {
+            callback();
+        } catch (err) {
+            return err.code;
+        }
+    }
+
+});
\ No newline at end of file
@@ -103,6 +103,31 @@ if (canProxy.proxiable) {
 
         });
 
+        describe('circular', () => {
+
+            it('releases circular value', () => {
+                const value = { a: {} };
+                value.a.parent = value;
+                const r = release(value);
+                expect(r).not.to.equal(value);
+                expect(r.a.parent).to.equal(r);
+            });
+
+            it('releases shared value once', () => {
+                const shared = { x: 1 };
+                const r = release({ a: shared, b: [ shared ] });
+                expect(r.a).to.equal(r.b[0]);
+            });
+
+            it('can be used as an array map callback', () => {
+                const values = [ { a: 1 }, { b: 2 } ];
+                const r = values.map(release);
+                expect(r).to.deep.equal(values);
+                expect(r[0]).not.to.equal(values[0]);
+            });
+
+        });
+
     });
 
 }
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const enforcer      = require('../index');
+const expect        = require('chai').expect;
+
+describe('serialize', () => {
+    const definitions = {
+        Pet: {
+            type: 'object',
+            discriminator: 'petType',
+            properties: {
+                petType: { type: 'string' },
+                born: { type: 'string', format: 'date' }
+            },
+            required: ['petType']
+        },
+        Cat: {
+            allOf: [
+                { $ref: '#/definitions/Pet' },
+                {
+                    type: 'object',
+                    properties: { lastSeen: { type: 'string', format: 'date-time' } }
+                }
+            ]
+        }
+    };
+
+    const schema = {
+        type: 'object',
+        properties: {
+            id: { type: 'integer', format: 'int64' },
+            bits: { type: 'string', format: 'binary' },
+            data: { type: 'string', format: 'byte' },
+            dates: { type: 'array', items: { type: 'string', format: 'date' } },
+            either: { oneOf: [ { type: 'integer' }, { type: 'string', format: 'date' } ] },
+            extra: { type: 'object', additionalProperties: { type: 'string', format: 'date-time' } },
+            name: { type: 'string' },
+            pet: { $ref: '#/definitions/Pet' }
+        }
+    };
+
+    describe('deserialize', () => {
+
+        it('converts formatted strings', () => {
+            const result = enforcer(schema, definitions).deserialize({
+                bits: '0000000100000010',
+                data: 'AQI=',
+                dates: ['2000-01-01'],
+                extra: { at: '2000-01-01T12:00:00Z' },
+                name: 'Bob'
+            });
+            expect(result.errors).to.deep.equal([]);
+            expect(result.value.bits).to.deep.equal(Buffer.from([1, 2]));
+            expect(result.value.data).to.deep.equal(Buffer.from([1, 2]));
+            expect(result.value.dates[0].toISOString()).to.equal('2000-01-01T00:00:00.000Z');
+            expect(result.value.extra.at.toISOString()).to.equal('2000-01-01T12:00:00.000Z');
+            expect(result.value.name).to.equal('Bob');
+        });
+
+        it('converts the properties of a discriminated subtype', () => {
+            const result = enforcer(schema, definitions).deserialize({ pet: { petType: 'Cat', born: '2000-01-01', lastSeen: '2000-01-02T00:00:00Z' } });
+            expect(result.value.pet.born).to.be.instanceof(Date);
+            expect(result.value.pet.lastSeen).to.be.instanceof(Date);
+        });
+
+        it('converts with the first anyOf or oneOf schema that is satisfied', () => {
+            const e = enforcer(schema, definitions);
+            expect(e.deserialize({ either: '2000-01-01' }).value.either).to.be.instanceof(Date);
+            expect(e.deserialize({ either: 5 }).value.either).to.equal(5);
+        });
+
+        it('converts int64 integers to BigInt if configured', () => {
+            expect(enforcer(schema, definitions, { int64: 'bigint' }).deserialize({ id: '9007199254740993' }).value.id).to.equal(BigInt('9007199254740993'));
+            expect(enforcer(schema, definitions).deserialize({ id: 5 }).value.id).to.equal(5);
+        });
+
+        it('reports values that cannot be converted', () => {
+            const result = enforcer(schema, definitions).deserialize({ dates: ['2000-01-01', 'abc'], data: 5 });
+            expect(result.errors.map(err => err.code)).to.deep.equal(['ESEDSER', 'ESEDSER']);
+            expect(result.errors.map(err => err.at).sort()).to.deep.equal(['/data', '/dates/1']);
+            expect(result.value.dates[1]).to.equal('abc');
+        });
+
+        it('reports the escaped path of an additional property', () => {
+            const schema = { type: 'object', additionalProperties: { type: 'string', format: 'date' } };
+            const result = enforcer(schema).deserialize({ 'a/b': 'abc' });
+            expect(result.errors.map(err => err.at)).to.deep.equal(['/a~1b']);
+        });
+
+        it('does not modify the value', () => {
+            const value = { dates: ['2000-01-01'] };
+            enforcer(schema, definitions).deserialize(value);
+            expect(value).to.deep.equal({ dates: ['2000-01-01'] });
+        });
+
+    });
+
+    describe('serialize', () => {
+
+        it('converts rich values', () => {
+            const result = enforcer(schema, definitions).serialize({
+                bits: Buffer.from([1, 2]),
+                data: Buffer.from([1, 2]),
+                dates: [new Date('2000-01-01T00:00:00Z')],
+                extra: { at: new Date('2000-01-01T12:00:00Z') },
+                pet: { petType: 'Cat', lastSeen: new Date('2000-01-02T00:00:00Z') }
+            });
+            expect(result.errors).to.deep.equal([]);
+            expect(result.value).to.deep.equal({
+                bits: '0000000100000010',
+                data: 'AQI=',
+                dates: ['2000-01-01'],
+                extra: { at: '2000-01-01T12:00:00.000Z' },
+                pet: { petType: 'Cat', lastSeen: '2000-01-02T00:00:00.000Z' }
+            });
+        });
+
+        it('keeps strings that satisfy their format', () => {
+            expect(enforcer(schema, definitions).serialize({ dates: ['2000-01-01'] }).value).to.deep.equal({ dates: ['2000-01-01'] });
+        });
+
+        it('converts BigInt values as configured', () => {
+            const big = BigInt('9007199254740993');
+            expect(enforcer(schema, definitions, { int64: 'string' }).serialize({ id: big }).value.id).to.equal('9007199254740993');
+            expect(enforcer(schema, definitions).serialize({ id: BigInt(5) }).value.id).to.equal(5);
+        });
+
+        it('reports a BigInt that would lose precision', () => {
+            const result = enforcer(schema, definitions).serialize({ id: BigInt('9007199254740993') });
+            expect(result.errors.length).to.equal(1);
+            expect(result.errors[0].code).to.equal('ESESER');
+            expect(result.errors[0].at).to.equal('/id');
+        });
+
+        it('reports values that cannot be converted', () => {
+            const result = enforcer(schema, definitions).serialize({ dates: [{}] });
+            expect(result.errors.length).to.equal(1);
+            expect(result.errors[0].code).to.equal('ESESER');
+            expect(result.errors[0].at).to.equal('/dates/0');
+        });
+
+        it('reverses deserialize', () => {
+            const e = enforcer(schema, definitions);
+            const value = { data: 'AQI=', dates: ['2000-01-01'], pet: { petType: 'Cat', born: '2000-01-01' } };
+            expect(e.serialize(e.deserialize(value).value).value).to.deep.equal(value);
+        });
+
+    });
+
+});
\ No newline at end of file